@@ -0,0 +1,504 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('./config');
+const exitManagerService = require('./exitManagerService');
+const hmaService = require('./hmaService');
+const instrumentRegistry = require('./instrumentRegistry');
+const marketClock = require('./marketClock');
+const marketDataService = require('./marketDataService');
+const symbolService = require('./symbolService');
+const tradingCalendar = require('./tradingCalendar');
+const { StreamingHMA } = require('./hmaCalculator');
+
+// Path to store backtest results
+const DATA_DIR = path.join(__dirname, 'data');
+const BACKTESTS_DIR = path.join(DATA_DIR, 'backtests');
+
+// Backtest defaults
+const DEFAULT_RESOLUTION = '5';
+const DEFAULT_HMA_PERIOD = 55;
+const MAX_BACKTEST_DAYS = 90;
+
+// Backtest-only exit reason for positions still open when data runs out
+const END_OF_DATA = 'END_OF_DATA';
+
+// Backtests kept in memory while running and after completion
+const backtests = new Map();
+
+/**
+ * Ensure backtests directory exists
+ */
+async function ensureBacktestsDir() {
+  try {
+    await fs.mkdir(BACKTESTS_DIR, { recursive: true });
+  } catch (error) {
+    console.error('Error creating backtests directory:', error);
+  }
+}
+
+/**
+ * Parse a YYYY-MM-DD date as IST midnight
+ */
+function parseISTDate(dateStr) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateStr || '');
+  if (!match) {
+    throw new Error(`Invalid date: ${dateStr}. Expected YYYY-MM-DD`);
+  }
+  const date = marketClock.fromISTDateTime(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  if (marketClock.getISTDateKey(date) !== dateStr) {
+    throw new Error(`Invalid date: ${dateStr}. Expected YYYY-MM-DD`);
+  }
+  return date;
+}
+
+/**
+ * Convert raw Fyers candles to trading-hours candles
+ */
+function toCandles(rawCandles, resolution) {
+  return hmaService.convertAndFilterTradingHoursCandles(rawCandles, resolution).map(candle => ({
+    timestamp: candle.timestamp,
+    open: candle.open,
+    high: candle.high,
+    low: candle.low,
+    close: candle.close,
+    volume: candle.volume
+  }));
+}
+
+/**
+ * Check a candle's range against target, stop-loss and trailing stop.
+ * Stop levels are checked before the target so ambiguous candles count as losses.
+ */
+function checkCandleExit(position, candle) {
+  if (position.autoExitOnStopLoss !== false && position.stopLossPrice !== null && candle.low <= position.stopLossPrice) {
+    return { reason: exitManagerService.EXIT_REASONS.STOP_LOSS, price: Math.min(candle.open, position.stopLossPrice) };
+  }
+
+  if (position.trailingStopPrice !== null && candle.low <= position.trailingStopPrice) {
+    return { reason: exitManagerService.EXIT_REASONS.TRAILING_STOP, price: Math.min(candle.open, position.trailingStopPrice) };
+  }
+
+  if (position.autoExitOnTarget !== false && position.targetPrice !== null && candle.high >= position.targetPrice) {
+    return { reason: exitManagerService.EXIT_REASONS.TARGET, price: Math.max(candle.open, position.targetPrice) };
+  }
+
+  return null;
+}
+
+/**
+ * Replay the HMA crossover strategy over candles.
+ * settings: { symbol, hmaPeriod, quantity, tradeFrom, ...contractInputs exit settings }
+ */
+function simulateStrategy(candles, settings) {
+  const hma = new StreamingHMA(settings.hmaPeriod || DEFAULT_HMA_PERIOD);
+  const tradeFrom = settings.tradeFrom || 0;
+  const trades = [];
+
+  let position = null;
+  let previous = null;
+
+  const closePosition = (candle, reason, price) => {
+    const exitTime = new Date(candle.timestamp * 1000);
+    trades.push({
+      symbol: position.symbol,
+      entryTime: position.entryTime,
+      entryPrice: position.entryPrice,
+      exitTime,
+      exitPrice: price,
+      exitReason: reason,
+      quantity: position.quantity,
+      pnl: exitManagerService.calculatePnL(position, price),
+      holdingMinutes: Math.round((exitTime.getTime() - position.entryTime.getTime()) / 60000)
+    });
+    position = null;
+  };
+
+  for (const candle of candles) {
+    const hmaValue = hma.push(candle.close);
+    const hasHMA = hma.length >= hma.period;
+    const candleTime = new Date(candle.timestamp * 1000);
+
+    if (position) {
+      // Time exits fire at the open of the first candle past the limit
+      const timeExit = exitManagerService.checkTimeExit(position, candleTime);
+      const isNewDay = !marketClock.isSameISTDay(position.entryTime, candleTime);
+
+      if (timeExit || isNewDay) {
+        closePosition(candle, timeExit || exitManagerService.EXIT_REASONS.EOD_SQUARE_OFF, candle.open);
+      } else {
+        const priceExit = checkCandleExit(position, candle);
+        if (priceExit) {
+          closePosition(candle, priceExit.reason, priceExit.price);
+        } else {
+          exitManagerService.updateTrailingStop(position, candle.high);
+          if (hasHMA && candle.close < hmaValue) {
+            closePosition(candle, exitManagerService.EXIT_REASONS.HMA_REVERSAL, candle.close);
+          }
+        }
+      }
+    } else if (hasHMA && previous && candle.timestamp >= tradeFrom &&
+               !exitManagerService.isPastSquareOff(candleTime) &&
+               previous.close <= previous.hma && candle.close > hmaValue) {
+      position = exitManagerService.initializePosition({
+        ...settings,
+        symbol: settings.symbol,
+        productType: 'INTRADAY',
+        entryPrice: candle.close,
+        entryTime: candleTime,
+        quantity: settings.quantity
+      });
+    }
+
+    previous = hasHMA ? { close: candle.close, hma: hmaValue } : null;
+  }
+
+  if (position && candles.length > 0) {
+    const lastCandle = candles[candles.length - 1];
+    closePosition(lastCandle, END_OF_DATA, lastCandle.close);
+  }
+
+  return trades;
+}
+
+/**
+ * Summary statistics for a list of trades
+ */
+function calculateSummary(trades) {
+  const wins = trades.filter(trade => trade.pnl > 0);
+  const losses = trades.filter(trade => trade.pnl <= 0);
+  const grossProfit = wins.reduce((sum, trade) => sum + trade.pnl, 0);
+  const grossLoss = losses.reduce((sum, trade) => sum + trade.pnl, 0);
+
+  let equity = 0;
+  let peak = 0;
+  let maxDrawdown = 0;
+  trades.forEach(trade => {
+    equity += trade.pnl;
+    peak = Math.max(peak, equity);
+    maxDrawdown = Math.max(maxDrawdown, peak - equity);
+  });
+
+  const exitReasons = {};
+  trades.forEach(trade => {
+    exitReasons[trade.exitReason] = (exitReasons[trade.exitReason] || 0) + 1;
+  });
+
+  const round = value => Math.round(value * 100) / 100;
+
+  return {
+    totalTrades: trades.length,
+    winningTrades: wins.length,
+    losingTrades: losses.length,
+    winRate: trades.length > 0 ? round((wins.length / trades.length) * 100) : 0,
+    netPnL: round(grossProfit + grossLoss),
+    grossProfit: round(grossProfit),
+    grossLoss: round(grossLoss),
+    profitFactor: grossLoss < 0 ? round(grossProfit / Math.abs(grossLoss)) : null,
+    maxDrawdown: round(maxDrawdown),
+    averagePnL: trades.length > 0 ? round((grossProfit + grossLoss) / trades.length) : 0,
+    largestWin: wins.length > 0 ? Math.max(...wins.map(trade => trade.pnl)) : 0,
+    largestLoss: losses.length > 0 ? Math.min(...losses.map(trade => trade.pnl)) : 0,
+    exitReasons
+  };
+}
+
+/**
+ * Fetch trading-hours candles for a symbol between two IST instants
+ */
+async function fetchCandles(symbol, resolution, fromDate, toDate, accessToken) {
+  const data = await marketDataService.getHistoricalData({
+    symbol,
+    resolution,
+    rangeFrom: marketClock.getISTDateKey(fromDate),
+    rangeTo: marketClock.getISTDateKey(toDate),
+    accessToken
+  });
+  return toCandles(data.candles || [], resolution);
+}
+
+/**
+ * Index a backtest trades (its lot size sets the quantity): the requested index for strike selection,
+ * otherwise the index of the symbol (an index quote symbol or an option on it)
+ */
+function resolveBacktestIndex(symbol, index, strikeSelection) {
+  if (strikeSelection) {
+    const instrument = instrumentRegistry.getInstrument(index);
+    if (!instrument) {
+      throw new Error(index ? `Index configuration not found for: ${index}` : 'index is required with strikeSelection');
+    }
+    return instrument.key;
+  }
+
+  const indexName = symbolService.getIndexForSymbol(symbol);
+  if (!indexName) {
+    throw new Error(`Cannot determine the index of ${symbol}; use an index or option symbol from the instrument registry`);
+  }
+  return indexName;
+}
+
+/**
+ * Validate backtest parameters and fill in defaults
+ */
+function normalizeParams(params) {
+  const { symbol, index, strikeSelection, from, to, contractInputs = {} } = params;
+
+  if (!symbol && !(index && strikeSelection)) {
+    throw new Error('Either symbol or index with strikeSelection is required');
+  }
+
+  const fromDate = parseISTDate(from);
+  const toDate = parseISTDate(to);
+  if (toDate < fromDate) {
+    throw new Error('to must be on or after from');
+  }
+  if ((toDate - fromDate) / (24 * 60 * 60 * 1000) > MAX_BACKTEST_DAYS) {
+    throw new Error(`Backtest range cannot exceed ${MAX_BACKTEST_DAYS} days`);
+  }
+
+  const { period, resolution } = hmaService.normalizeHMAOptions({
+    period: params.hmaPeriod || DEFAULT_HMA_PERIOD,
+    resolution: params.resolution || DEFAULT_RESOLUTION
+  });
+
+  if (resolution === 'D') {
+    throw new Error('Backtests need an intraday resolution');
+  }
+
+  if (strikeSelection) {
+    const { optionType, moneyness = 'ATM' } = strikeSelection;
+    if (!['CE', 'PE'].includes(optionType)) {
+      throw new Error('strikeSelection.optionType must be CE or PE');
+    }
+    if (!['ATM', 'ITM', 'OTM'].includes(moneyness)) {
+      throw new Error('strikeSelection.moneyness must be ATM, ITM or OTM');
+    }
+  }
+
+  const indexName = resolveBacktestIndex(symbol, index, strikeSelection);
+  const optionType = strikeSelection ? strikeSelection.optionType : (symbol.endsWith('PE') ? 'PE' : 'CE');
+  const lots = contractInputs.lots || (optionType === 'PE' ? contractInputs.peLots : contractInputs.ceLots) || 1;
+
+  return {
+    symbol,
+    index: indexName,
+    strikeSelection,
+    from,
+    to,
+    fromDate,
+    toDate,
+    resolution,
+    hmaPeriod: period,
+    quantity: params.quantity || symbolService.calculateQuantityFromLots(indexName, lots, fromDate),
+    exitSettings: {
+      targetPoints: contractInputs.targetPoints,
+      stopLossPoints: contractInputs.stopLossPoints,
+      targetType: contractInputs.targetType || 'POINTS',
+      stopLossType: contractInputs.stopLossType || 'POINTS',
+      autoExitOnTarget: contractInputs.autoExitOnTarget !== false,
+      autoExitOnStopLoss: contractInputs.autoExitOnStopLoss !== false,
+      trailingStopLoss: !!contractInputs.trailingStopLoss,
+      trailingStopLossOffset: contractInputs.trailingStopLossOffset || 0,
+      timeBasedExit: !!contractInputs.timeBasedExit,
+      exitAfterMinutes: contractInputs.exitAfterMinutes || 0,
+      exitAtMarketClose: contractInputs.exitAtMarketClose !== false
+    }
+  };
+}
+
+/**
+ * Run a backtest on a single symbol over the whole range
+ */
+async function runSymbolBacktest(settings, accessToken) {
+  const warmupDays = hmaService.getLookbackTradingDays(settings.hmaPeriod, settings.resolution);
+  const warmupStart = hmaService.getLookbackStartDate(warmupDays, settings.fromDate, tradingCalendar.getExchangeForSymbol(settings.symbol));
+  const candles = await fetchCandles(settings.symbol, settings.resolution, warmupStart, settings.toDate, accessToken);
+
+  return simulateStrategy(candles, {
+    ...settings.exitSettings,
+    symbol: settings.symbol,
+    hmaPeriod: settings.hmaPeriod,
+    quantity: settings.quantity,
+    tradeFrom: Math.floor(settings.fromDate.getTime() / 1000)
+  });
+}
+
+/**
+ * Run a backtest that picks the option strike each day from the index open
+ */
+async function runStrikeSelectionBacktest(settings, accessToken) {
+  const indexSymbol = symbolService.getIndexQuoteSymbol(settings.index);
+  if (!indexSymbol) {
+    throw new Error(`No index quote symbol for: ${settings.index}`);
+  }
+
+  const { optionType, moneyness = 'ATM', level = 1 } = settings.strikeSelection;
+  const indexCandles = await fetchCandles(indexSymbol, settings.resolution, settings.fromDate, settings.toDate, accessToken);
+
+  // First candle of each IST day gives the open used for strike selection
+  const dayOpens = new Map();
+  indexCandles.forEach(candle => {
+    const dayKey = marketClock.getISTDateKey(new Date(candle.timestamp * 1000));
+    if (!dayOpens.has(dayKey)) {
+      dayOpens.set(dayKey, candle.open);
+    }
+  });
+
+  const trades = [];
+  const skippedDays = [];
+
+  for (const [dayKey, openPrice] of dayOpens.entries()) {
+    const dayStart = parseISTDate(dayKey);
+    const ladder = symbolService.generateStrikeSymbols(settings.index, openPrice, dayStart.toISOString());
+    const side = optionType === 'CE' ? ladder.ce : ladder.pe;
+    const matchesSelection = entry => entry.type === moneyness && (moneyness === 'ATM' || entry.level === level);
+    const selected = side.find(matchesSelection);
+
+    if (!selected) {
+      const unlisted = ladder.unlistedStrikes.find(entry => entry.optionType === optionType && matchesSelection(entry));
+      skippedDays.push({
+        date: dayKey,
+        reason: unlisted ? `${unlisted.strike} ${optionType} is not listed in the symbol master` : 'No matching strike'
+      });
+      continue;
+    }
+
+    try {
+      const dayTrades = await runSymbolBacktest({
+        ...settings,
+        symbol: selected.symbol,
+        fromDate: dayStart,
+        toDate: dayStart
+      }, accessToken);
+      trades.push(...dayTrades);
+    } catch (error) {
+      skippedDays.push({ date: dayKey, symbol: selected.symbol, reason: error.message });
+    }
+  }
+
+  return { trades, skippedDays };
+}
+
+/**
+ * Save a backtest result to disk
+ */
+async function saveBacktest(backtest) {
+  try {
+    await ensureBacktestsDir();
+    await fs.writeFile(path.join(BACKTESTS_DIR, `${backtest.id}.json`), JSON.stringify(backtest, null, 2), 'utf8');
+  } catch (error) {
+    console.error(`Error saving backtest ${backtest.id}:`, error);
+  }
+}
+
+/**
+ * Execute a queued backtest and record its result
+ */
+async function executeBacktest(backtest, settings, accessToken) {
+  try {
+    console.log(`🧪 Running backtest ${backtest.id}`);
+
+    let trades;
+    let skippedDays = [];
+
+    if (settings.strikeSelection) {
+      ({ trades, skippedDays } = await runStrikeSelectionBacktest(settings, accessToken));
+    } else {
+      trades = await runSymbolBacktest(settings, accessToken);
+    }
+
+    backtest.status = 'COMPLETED';
+    backtest.trades = trades;
+    backtest.skippedDays = skippedDays;
+    backtest.summary = calculateSummary(trades);
+    console.log(`✅ Backtest ${backtest.id} completed: ${trades.length} trades, net P&L ${backtest.summary.netPnL}`);
+  } catch (error) {
+    backtest.status = 'FAILED';
+    backtest.error = error.message;
+    console.error(`❌ Backtest ${backtest.id} failed:`, error.message);
+  } finally {
+    backtest.completedAt = new Date();
+    await saveBacktest(backtest);
+  }
+}
+
+/**
+ * Queue a backtest; it runs in the background and can be fetched by id
+ */
+function createBacktest(params, accessToken) {
+  const settings = normalizeParams(params);
+
+  const backtest = {
+    id: `bt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    status: 'RUNNING',
+    params: {
+      symbol: settings.symbol || null,
+      index: settings.index,
+      strikeSelection: settings.strikeSelection || null,
+      from: settings.from,
+      to: settings.to,
+      resolution: settings.resolution,
+      hmaPeriod: settings.hmaPeriod,
+      quantity: settings.quantity,
+      squareOffTime: config.trading.squareOffTime,
+      ...settings.exitSettings
+    },
+    createdAt: new Date(),
+    completedAt: null
+  };
+
+  backtests.set(backtest.id, backtest);
+  executeBacktest(backtest, settings, accessToken);
+  return backtest;
+}
+
+/**
+ * Get a backtest by id (memory first, then disk)
+ */
+async function getBacktest(id) {
+  if (backtests.has(id)) {
+    return backtests.get(id);
+  }
+
+  // Ids are generated by us; reject anything that could escape the directory
+  if (!/^bt_[a-z0-9_]+$/i.test(id)) {
+    return null;
+  }
+
+  try {
+    const data = await fs.readFile(path.join(BACKTESTS_DIR, `${id}.json`), 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * List stored backtests without their trade lists
+ */
+async function listBacktests() {
+  await ensureBacktestsDir();
+  const files = (await fs.readdir(BACKTESTS_DIR)).filter(file => file.endsWith('.json'));
+  const ids = new Set([...backtests.keys(), ...files.map(file => file.replace(/\.json$/, ''))]);
+
+  const results = [];
+  for (const id of ids) {
+    const backtest = await getBacktest(id);
+    if (backtest) {
+      const { trades, ...rest } = backtest;
+      results.push(rest);
+    }
+  }
+
+  return results.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+module.exports = {
+  simulateStrategy,
+  calculateSummary,
+  createBacktest,
+  getBacktest,
+  listBacktests
+};
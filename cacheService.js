@@ -0,0 +1,227 @@
+const marketClock = require('./marketClock');
+
+// Shared in-memory caches with LRU bounds, per-cache TTLs, request coalescing and hit/miss metrics.
+// Entries are kept in a Map in least- to most-recently-used order.
+
+// Historical data is never cached longer than this (outside market hours the last candle is final)
+const MAX_HISTORICAL_TTL_MS = 15 * 60 * 1000;
+
+// Every cache created, by name, for stats and clearing
+const caches = new Map();
+
+/**
+ * Create a named LRU cache.
+ * options: { maxEntries, ttlMs } (ttlMs null keeps entries until evicted or cleared)
+ */
+function createCache(name, options = {}) {
+  const maxEntries = options.maxEntries || 100;
+  const defaultTTL = options.ttlMs !== undefined ? options.ttlMs : null;
+  const entries = new Map();
+  const inFlight = new Map();
+  const metrics = { hits: 0, misses: 0, coalesced: 0, evictions: 0, expirations: 0 };
+
+  const isExpired = entry => entry.expiresAt !== null && Date.now() >= entry.expiresAt;
+
+  const cache = {
+    name,
+
+    /**
+     * Get a fresh value (undefined on a miss); marks it as recently used
+     */
+    get(key) {
+      const entry = entries.get(key);
+
+      if (!entry) {
+        metrics.misses++;
+        return undefined;
+      }
+
+      entries.delete(key);
+      if (isExpired(entry)) {
+        metrics.expirations++;
+        metrics.misses++;
+        return undefined;
+      }
+
+      entries.set(key, entry);
+      metrics.hits++;
+      return entry.value;
+    },
+
+    /**
+     * Store a value, evicting the least recently used entries beyond maxEntries
+     */
+    set(key, value, ttlMs = defaultTTL) {
+      entries.delete(key);
+      entries.set(key, {
+        value,
+        storedAt: Date.now(),
+        expiresAt: ttlMs === null ? null : Date.now() + ttlMs
+      });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+        metrics.evictions++;
+      }
+    },
+
+    /**
+     * Read a value without touching recency or metrics (expired values included)
+     */
+    peek(key) {
+      const entry = entries.get(key);
+      return entry ? entry.value : undefined;
+    },
+
+    /**
+     * Age of a cached value in milliseconds (null if not cached); does not count as a hit
+     */
+    getAge(key) {
+      const entry = entries.get(key);
+      return entry ? Date.now() - entry.storedAt : null;
+    },
+
+    /**
+     * Run fetcher once per key at a time; concurrent callers share the pending promise
+     */
+    dedupe(key, fetcher) {
+      if (inFlight.has(key)) {
+        metrics.coalesced++;
+        return inFlight.get(key);
+      }
+
+      const pending = Promise.resolve()
+        .then(fetcher)
+        .finally(() => inFlight.delete(key));
+      inFlight.set(key, pending);
+      return pending;
+    },
+
+    /**
+     * Return the cached value or fetch, store and return it (failures are not cached).
+     * ttlMs may be a function of the fetched value.
+     */
+    async getOrFetch(key, fetcher, ttlMs = defaultTTL) {
+      const cached = cache.get(key);
+      if (cached !== undefined) {
+        return { value: cached, cached: true };
+      }
+
+      const value = await cache.dedupe(key, async () => {
+        const fetched = await fetcher();
+        cache.set(key, fetched, typeof ttlMs === 'function' ? ttlMs(fetched) : ttlMs);
+        return fetched;
+      });
+      return { value, cached: false };
+    },
+
+    delete(key) {
+      return entries.delete(key);
+    },
+
+    /**
+     * Delete every entry matching a predicate(value, key)
+     */
+    deleteWhere(predicate) {
+      let deleted = 0;
+      for (const [key, entry] of entries) {
+        if (predicate(entry.value, key)) {
+          entries.delete(key);
+          deleted++;
+        }
+      }
+      return deleted;
+    },
+
+    values() {
+      return Array.from(entries.values()).map(entry => entry.value);
+    },
+
+    clear() {
+      entries.clear();
+      console.log(`🧹 ${name} cache cleared`);
+    },
+
+    /**
+     * Size, limits and hit/miss counters
+     */
+    getStats() {
+      const lookups = metrics.hits + metrics.misses;
+      return {
+        size: entries.size,
+        maxEntries,
+        ttlSeconds: defaultTTL === null ? null : defaultTTL / 1000,
+        inFlight: inFlight.size,
+        ...metrics,
+        hitRate: lookups > 0 ? Math.round((metrics.hits / lookups) * 10000) / 100 : 0
+      };
+    }
+  };
+
+  caches.set(name, cache);
+  return cache;
+}
+
+/**
+ * Milliseconds until the candle in progress for a resolution closes (sessions start at 9:15 IST).
+ * Outside market hours the last candle is final, so the max historical TTL applies.
+ */
+function getTTLUntilCandleClose(resolution, now = marketClock.now()) {
+  if (!marketClock.isWithinMarketHours(now)) {
+    return MAX_HISTORICAL_TTL_MS;
+  }
+
+  const secondsIntoSession = (marketClock.getISTMinutesOfDay(now) - marketClock.MARKET_OPEN_MINUTES) * 60 +
+    marketClock.getISTParts(now).seconds;
+  const sessionSeconds = (marketClock.MARKET_CLOSE_MINUTES - marketClock.MARKET_OPEN_MINUTES) * 60;
+  const candleSeconds = /^\d+$/.test(String(resolution)) ? parseInt(resolution, 10) * 60 : sessionSeconds;
+
+  const candleEnd = Math.min(Math.ceil((secondsIntoSession + 1) / candleSeconds) * candleSeconds, sessionSeconds);
+  return Math.min((candleEnd - secondsIntoSession) * 1000, MAX_HISTORICAL_TTL_MS);
+}
+
+/**
+ * Stats for every cache, by name
+ */
+function getAllStats() {
+  const stats = {};
+  caches.forEach((cache, name) => {
+    stats[name] = cache.getStats();
+  });
+  return stats;
+}
+
+/**
+ * Clear one cache by name (false if unknown)
+ */
+function clearCache(name) {
+  const cache = caches.get(name);
+  if (!cache) {
+    return false;
+  }
+  cache.clear();
+  return true;
+}
+
+/**
+ * Clear every cache
+ */
+function clearAll() {
+  caches.forEach(cache => cache.clear());
+}
+
+// Market data caches used by the REST routes
+const marketDataCaches = {
+  quotes: createCache('quotes', { maxEntries: 500, ttlMs: 1000 }),
+  depth: createCache('depth', { maxEntries: 200, ttlMs: 2000 }),
+  historical: createCache('historical', { maxEntries: 200, ttlMs: MAX_HISTORICAL_TTL_MS })
+};
+
+module.exports = {
+  createCache,
+  getAllStats,
+  clearCache,
+  clearAll,
+  getTTLUntilCandleClose,
+  marketDataCaches
+};
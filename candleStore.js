@@ -0,0 +1,198 @@
+const fs = require('fs').promises;
+const path = require('path');
+const marketClock = require('./marketClock');
+
+// Candles are stored per symbol and resolution under data/candles
+const STORE_DIR = path.join(__dirname, 'data', 'candles');
+
+// Per symbol/resolution queue so concurrent requests never interleave file updates
+const pendingUpdates = new Map();
+
+/**
+ * File path for a symbol and resolution (NSE:NIFTY50-INDEX -> NSE_NIFTY50-INDEX/5.json)
+ */
+function getStorePath(symbol, resolution) {
+  const safeSymbol = symbol.replace(/[^A-Za-z0-9-]/g, '_');
+  return path.join(STORE_DIR, safeSymbol, `${resolution}.json`);
+}
+
+/**
+ * Shift a YYYY-MM-DD key by a number of days
+ */
+function shiftDateKey(dateKey, days) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Last IST date whose session has fully closed
+ */
+function getLastCompleteDateKey(now = marketClock.now()) {
+  const todayKey = marketClock.getISTDateKey(now);
+  return marketClock.getISTMinutesOfDay(now) >= marketClock.MARKET_CLOSE_MINUTES
+    ? todayKey
+    : shiftDateKey(todayKey, -1);
+}
+
+/**
+ * Read a stored series (null if nothing stored yet)
+ */
+async function readSeries(symbol, resolution) {
+  try {
+    const data = await fs.readFile(getStorePath(symbol, resolution), 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    console.error(`Error reading candle store for ${symbol} (${resolution}):`, error);
+    return null;
+  }
+}
+
+/**
+ * Write a stored series: to a temp file first, then renamed over the original so a crash or a
+ * concurrent reader never sees a half-written file
+ */
+async function writeSeries(series) {
+  const filePath = getStorePath(series.symbol, series.resolution);
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  try {
+    await fs.writeFile(tempPath, JSON.stringify(series), 'utf8');
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Merge candles by timestamp; later candles replace earlier ones (in-progress candles get completed)
+ */
+function mergeCandles(existing, incoming) {
+  const byTimestamp = new Map();
+  existing.forEach(candle => byTimestamp.set(candle[0], candle));
+  incoming.forEach(candle => byTimestamp.set(candle[0], candle));
+  return Array.from(byTimestamp.values()).sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Fill the stored series so it covers fromKey..toKey, fetching only what is missing.
+ * fetchRange(fromKey, toKey) returns raw Fyers candles for an inclusive IST date range.
+ */
+async function updateSeries(symbol, resolution, fromKey, toKey, fetchRange) {
+  const series = await readSeries(symbol, resolution) || {
+    symbol,
+    resolution,
+    coveredFrom: null,
+    completeThrough: null,
+    candles: []
+  };
+
+  const lastCompleteKey = getLastCompleteDateKey();
+  const ranges = [];
+
+  if (!series.coveredFrom) {
+    ranges.push([fromKey, toKey]);
+  } else {
+    if (fromKey < series.coveredFrom) {
+      ranges.push([fromKey, shiftDateKey(series.coveredFrom, -1)]);
+    }
+    // Anything after the last fully closed day is fetched again
+    if (toKey > series.completeThrough) {
+      ranges.push([shiftDateKey(series.completeThrough, 1), toKey]);
+    }
+  }
+
+  if (ranges.length === 0) {
+    return series;
+  }
+
+  for (const [rangeFrom, rangeTo] of ranges) {
+    console.log(`💾 Candle store miss for ${symbol} (${resolution}): fetching ${rangeFrom} to ${rangeTo}`);
+    const candles = await fetchRange(rangeFrom, rangeTo);
+    series.candles = mergeCandles(series.candles, candles || []);
+  }
+
+  // Coverage stays contiguous: from the earliest requested day to the last closed day fetched
+  series.coveredFrom = series.coveredFrom && series.coveredFrom < fromKey ? series.coveredFrom : fromKey;
+  const fetchedThrough = toKey < lastCompleteKey ? toKey : lastCompleteKey;
+  if (!series.completeThrough || fetchedThrough > series.completeThrough) {
+    series.completeThrough = fetchedThrough;
+  }
+  series.updatedAt = marketClock.now();
+
+  await writeSeries(series);
+  return series;
+}
+
+/**
+ * Get raw candles for an inclusive IST date range, reading the store first and
+ * fetching only the missing head/tail through fetchRange
+ */
+async function getCandles(symbol, resolution, fromKey, toKey, fetchRange) {
+  const key = `${symbol}:${resolution}`;
+  const previous = pendingUpdates.get(key) || Promise.resolve();
+  const update = previous
+    .catch(() => {})
+    .then(() => updateSeries(symbol, resolution, fromKey, toKey, fetchRange));
+
+  pendingUpdates.set(key, update);
+
+  try {
+    const series = await update;
+    return series.candles.filter(candle => {
+      const dateKey = marketClock.getISTDateKey(new Date(candle[0] * 1000));
+      return dateKey >= fromKey && dateKey <= toKey;
+    });
+  } finally {
+    if (pendingUpdates.get(key) === update) {
+      pendingUpdates.delete(key);
+    }
+  }
+}
+
+/**
+ * List stored series (symbol, resolution, coverage and candle count)
+ */
+async function listSeries() {
+  let symbolDirs;
+  try {
+    symbolDirs = await fs.readdir(STORE_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const result = [];
+  for (const dir of symbolDirs) {
+    const files = await fs.readdir(path.join(STORE_DIR, dir)).catch(() => []);
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        const series = JSON.parse(await fs.readFile(path.join(STORE_DIR, dir, file), 'utf8'));
+        result.push({
+          symbol: series.symbol,
+          resolution: series.resolution,
+          coveredFrom: series.coveredFrom,
+          completeThrough: series.completeThrough,
+          candleCount: series.candles.length,
+          updatedAt: series.updatedAt
+        });
+      } catch (error) {
+        console.error(`Error reading candle store file ${dir}/${file}:`, error);
+      }
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  getCandles,
+  listSeries,
+  getLastCompleteDateKey
+};
@@ -13,6 +13,27 @@ const config = {
   apiRateLimit: {
     windowMs: 60 * 1000, // 1 minute
     max: 60, // 60 requests per minute
+  },
+  trading: {
+    squareOffTime: process.env.SQUARE_OFF_TIME || '15:15', // HH:MM IST cutoff for intraday square-off
+    timeExitCheckIntervalMs: 15 * 1000
+  },
+  marketFeed: {
+    enabled: process.env.MARKET_FEED_ENABLED !== 'false', // stream quotes for monitored symbols
+    url: process.env.MARKET_FEED_URL || null // plain WebSocket feed instead of the Fyers data socket (local fakes)
+  },
+  candleStore: {
+    enabled: process.env.CANDLE_STORE_ENABLED !== 'false' // historical candles cached under data/candles
+  },
+  symbolMaster: {
+    // Fyers instrument master CSVs, downloaded on demand into data/symbol_master
+    sources: {
+      NSE_FO: process.env.SYMBOL_MASTER_NSE_FO_URL || 'https://public.fyers.in/sym_details/NSE_FO.csv',
+      BSE_FO: process.env.SYMBOL_MASTER_BSE_FO_URL || 'https://public.fyers.in/sym_details/BSE_FO.csv'
+    }
+  },
+  optionsAnalytics: {
+    riskFreeRate: parseFloat(process.env.RISK_FREE_RATE || '0.065') // annualised, used for IV and Greeks
   }
 };
 
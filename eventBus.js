@@ -0,0 +1,76 @@
+const EventEmitter = require('events');
+
+// In-process event bus feeding /api/stream
+// Events: { id, topic, type, data, timestamp }
+
+// Topics clients can subscribe to
+const TOPICS = ['monitoring', 'orders', 'trades', 'trading-state', 'replay'];
+
+// Recent events kept for Last-Event-ID resume
+const MAX_BUFFERED_EVENTS = 1000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const recentEvents = [];
+
+// Ids start from the boot time so they keep increasing across restarts
+let lastEventId = Date.now();
+
+/**
+ * Publish an event on a topic
+ */
+function publish(topic, type, data) {
+  const event = {
+    id: ++lastEventId,
+    topic,
+    type,
+    data,
+    timestamp: new Date()
+  };
+
+  recentEvents.push(event);
+  if (recentEvents.length > MAX_BUFFERED_EVENTS) {
+    recentEvents.shift();
+  }
+
+  emitter.emit('event', event);
+  return event;
+}
+
+/**
+ * Listen to every published event; returns a function that stops listening
+ */
+function subscribe(listener) {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+}
+
+/**
+ * Buffered events after an id. isComplete is false when older events were already dropped.
+ */
+function getEventsSince(eventId) {
+  const events = recentEvents.filter(event => event.id > eventId);
+  const oldestId = recentEvents.length > 0 ? recentEvents[0].id : lastEventId + 1;
+
+  return {
+    events,
+    isComplete: eventId >= oldestId - 1
+  };
+}
+
+/**
+ * Format an event as a Server-Sent Events message
+ */
+function formatSSE(event) {
+  const payload = { topic: event.topic, type: event.type, data: event.data, timestamp: event.timestamp };
+  return `id: ${event.id}\nevent: ${event.topic}\ndata: ${JSON.stringify(payload)}\n\n`;
+}
+
+module.exports = {
+  TOPICS,
+  publish,
+  subscribe,
+  getEventsSince,
+  formatSSE
+};
@@ -0,0 +1,202 @@
+const config = require('./config');
+const marketClock = require('./marketClock');
+const orderService = require('./orderService');
+
+// Reasons recorded in the trade log when a position is closed
+const EXIT_REASONS = {
+  TARGET: 'TARGET',
+  STOP_LOSS: 'STOP_LOSS',
+  TRAILING_STOP: 'TRAILING_STOP',
+  HMA_REVERSAL: 'HMA_REVERSAL',
+  TIME_EXIT: 'TIME_EXIT',
+  EOD_SQUARE_OFF: 'EOD_SQUARE_OFF'
+};
+
+/**
+ * Round a price to 2 decimals
+ */
+function roundPrice(price) {
+  return Math.round(price * 100) / 100;
+}
+
+/**
+ * Compute a price level offset from a base price in POINTS or PERCENTAGE mode
+ */
+function offsetPrice(basePrice, value, type, direction) {
+  const offset = type === 'PERCENTAGE' ? basePrice * (value / 100) : value;
+  return roundPrice(basePrice + direction * offset);
+}
+
+/**
+ * Compute target and stop-loss levels for a long position
+ */
+function computeExitLevels(position) {
+  const { entryPrice, targetPoints, stopLossPoints, targetType = 'POINTS', stopLossType = 'POINTS' } = position;
+
+  return {
+    targetPrice: targetPoints > 0 ? offsetPrice(entryPrice, targetPoints, targetType, 1) : null,
+    stopLossPrice: stopLossPoints > 0 ? offsetPrice(entryPrice, stopLossPoints, stopLossType, -1) : null
+  };
+}
+
+/**
+ * Initialize exit levels on a freshly entered position
+ */
+function initializePosition(position) {
+  const { targetPrice, stopLossPrice } = computeExitLevels(position);
+
+  position.targetPrice = targetPrice;
+  position.stopLossPrice = stopLossPrice;
+  position.highestPrice = position.entryPrice;
+  position.trailingStopPrice = null;
+  return position;
+}
+
+/**
+ * Ratchet the trailing stop up as the LTP makes new highs
+ */
+function updateTrailingStop(position, ltp) {
+  if (!position.trailingStopLoss || !(position.trailingStopLossOffset > 0)) {
+    return position.trailingStopPrice;
+  }
+
+  if (ltp > position.highestPrice) {
+    position.highestPrice = ltp;
+  }
+
+  // Only trail once the position has moved in our favour
+  if (position.highestPrice <= position.entryPrice) {
+    return position.trailingStopPrice;
+  }
+
+  const candidate = offsetPrice(position.highestPrice, position.trailingStopLossOffset, position.stopLossType, -1);
+  if (position.trailingStopPrice === null || candidate > position.trailingStopPrice) {
+    position.trailingStopPrice = candidate;
+  }
+
+  return position.trailingStopPrice;
+}
+
+/**
+ * Check whether the LTP hits target, stop-loss or trailing stop
+ */
+function checkPriceExit(position, ltp) {
+  if (position.autoExitOnStopLoss !== false && position.stopLossPrice !== null && ltp <= position.stopLossPrice) {
+    return EXIT_REASONS.STOP_LOSS;
+  }
+
+  if (position.trailingStopPrice !== null && ltp <= position.trailingStopPrice) {
+    return EXIT_REASONS.TRAILING_STOP;
+  }
+
+  if (position.autoExitOnTarget !== false && position.targetPrice !== null && ltp >= position.targetPrice) {
+    return EXIT_REASONS.TARGET;
+  }
+
+  return null;
+}
+
+/**
+ * Parse an HH:MM time string into minutes since midnight
+ */
+function parseTimeToMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check whether the intraday square-off cutoff (IST) has passed. With the entry time of a position,
+ * a position from an earlier IST day (e.g. restored after midnight) is past its cutoff at any time.
+ */
+function isPastSquareOff(now = marketClock.now(), entryTime = null) {
+  if (entryTime && marketClock.getISTDateKey(new Date(entryTime)) < marketClock.getISTDateKey(now)) {
+    return true;
+  }
+
+  const squareOffMinutes = parseTimeToMinutes(config.trading.squareOffTime);
+  return marketClock.getISTMinutesOfDay(now) >= squareOffMinutes;
+}
+
+/**
+ * Check whether a position is due for a time-based exit or end-of-day square-off
+ */
+function checkTimeExit(position, now = marketClock.now()) {
+  // MARGIN positions carry overnight unless exitAtMarketClose asks for the square-off
+  const isIntraday = position.productType === 'INTRADAY' || position.exitAtMarketClose;
+
+  if (isIntraday && isPastSquareOff(now, position.entryTime)) {
+    return EXIT_REASONS.EOD_SQUARE_OFF;
+  }
+
+  if (position.timeBasedExit && position.exitAfterMinutes > 0 && position.entryTime) {
+    const heldMinutes = (now.getTime() - new Date(position.entryTime).getTime()) / (60 * 1000);
+    if (heldMinutes >= position.exitAfterMinutes) {
+      return EXIT_REASONS.TIME_EXIT;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Evaluate a position against the latest LTP, returns the exit reason or null
+ */
+function evaluatePosition(position, ltp) {
+  if (position.targetPrice === undefined) {
+    initializePosition(position);
+  }
+
+  updateTrailingStop(position, ltp);
+  return checkPriceExit(position, ltp);
+}
+
+/**
+ * Calculate realized P&L for a long position
+ */
+function calculatePnL(position, exitPrice) {
+  return roundPrice((exitPrice - position.entryPrice) * position.quantity);
+}
+
+/**
+ * Fire a market sell for a position and record the exit in the trade log
+ */
+async function executeExit(position, reason, exitPrice, accessToken) {
+  const orderParams = orderService.createMarketSellOrder(position.symbol, position.quantity, position.productType);
+  const pnl = calculatePnL(position, exitPrice);
+  const logDetails = {
+    price: exitPrice,
+    pnl,
+    exitReason: reason,
+    entryPrice: position.entryPrice,
+    replayId: position.replayId || undefined
+  };
+
+  console.log(`🚪 Exiting ${position.symbol} (${reason}) at ${exitPrice}, P&L: ${pnl}`);
+
+  const result = position.tradingMode === 'LIVE' && !position.replayId
+    ? await orderService.placeOrder(orderParams, accessToken, logDetails)
+    : await orderService.placePaperTrade(orderParams, logDetails);
+
+  if (result.success) {
+    position.exitPrice = exitPrice;
+    position.exitReason = reason;
+    position.realizedPnL = pnl;
+    position.exitOrderId = result.orderId;
+    position.exitTime = marketClock.now();
+  }
+
+  return result;
+}
+
+module.exports = {
+  EXIT_REASONS,
+  computeExitLevels,
+  initializePosition,
+  updateTrailingStop,
+  checkPriceExit,
+  isPastSquareOff,
+  checkTimeExit,
+  evaluatePosition,
+  calculatePnL,
+  executeExit
+};
@@ -0,0 +1,100 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+
+// Connectors hide the transport behind one interface:
+//   connect(), subscribe(symbols), unsubscribe(symbols), close()
+//   events: 'open', 'tick' (raw Fyers-style message), 'close', 'error'
+// Reconnects are handled by marketFeedService, never by the connector.
+
+/**
+ * Connector for the Fyers data socket (fyers-api-v3 SDK)
+ */
+function createFyersConnector(accessToken) {
+  const connector = new EventEmitter();
+  let socket = null;
+
+  connector.connect = () => {
+    // The SDK socket is reused across reconnects, so handlers are attached once
+    if (socket) {
+      socket.connect();
+      return;
+    }
+
+    // Loaded lazily so the SDK is only needed when the live feed is used
+    const { fyersDataSocket } = require('fyers-api-v3');
+    socket = fyersDataSocket.getInstance(accessToken, '', false);
+
+    socket.on('connect', () => {
+      socket.mode(socket.FullMode);
+      connector.emit('open');
+    });
+    socket.on('message', message => {
+      // Control messages (cn/ful/sub/...) carry no symbol
+      if (message && message.symbol) {
+        connector.emit('tick', message);
+      }
+    });
+    socket.on('error', error => connector.emit('error', error instanceof Error ? error : new Error(JSON.stringify(error))));
+    socket.on('close', () => connector.emit('close'));
+    socket.connect();
+  };
+
+  connector.subscribe = symbols => socket.subscribe(symbols);
+  connector.unsubscribe = symbols => socket.unsubscribe(symbols);
+  connector.close = () => {
+    if (socket && typeof socket.close === 'function') {
+      socket.close();
+    }
+  };
+
+  return connector;
+}
+
+/**
+ * Connector for a plain JSON WebSocket server (local fake feeds and relays).
+ * Sends { type: 'subscribe' | 'unsubscribe', symbols } and expects tick objects
+ * (or arrays of them) using Fyers field names.
+ */
+function createWebSocketConnector(url) {
+  const connector = new EventEmitter();
+  let socket = null;
+
+  const send = (type, symbols) => {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify({ type, symbols }));
+    }
+  };
+
+  connector.connect = () => {
+    socket = new WebSocket(url);
+
+    socket.on('open', () => connector.emit('open'));
+    socket.on('message', data => {
+      try {
+        const parsed = JSON.parse(data.toString());
+        (Array.isArray(parsed) ? parsed : [parsed])
+          .filter(message => message && message.symbol)
+          .forEach(message => connector.emit('tick', message));
+      } catch (error) {
+        connector.emit('error', new Error(`Invalid feed message: ${error.message}`));
+      }
+    });
+    socket.on('error', error => connector.emit('error', error));
+    socket.on('close', () => connector.emit('close'));
+  };
+
+  connector.subscribe = symbols => send('subscribe', symbols);
+  connector.unsubscribe = symbols => send('unsubscribe', symbols);
+  connector.close = () => {
+    if (socket) {
+      socket.close();
+    }
+  };
+
+  return connector;
+}
+
+module.exports = {
+  createFyersConnector,
+  createWebSocketConnector
+};
@@ -0,0 +1,148 @@
+// Streaming HMA calculator
+// Keeps rolling WMA state so appending or updating a candle costs O(1)
+
+/**
+ * Rolling WMA over the last `period` values (newest weight = period, oldest = 1)
+ */
+class RollingWMA {
+  constructor(period) {
+    this.period = period;
+    this.buffer = new Array(period).fill(0);
+    this.head = 0; // Slot of the newest value
+    this.count = 0;
+    this.sum = 0;
+    this.weightedSum = 0;
+  }
+
+  get isFull() {
+    return this.count >= this.period;
+  }
+
+  get value() {
+    if (!this.isFull) return 0;
+    return this.weightedSum / this.weightSum();
+  }
+
+  weightSum() {
+    return (this.period * (this.period + 1)) / 2;
+  }
+
+  // Recompute the running sums from the buffer, newest first like the batch WMA
+  reseed() {
+    this.sum = 0;
+    this.weightedSum = 0;
+    for (let i = 0; i < this.period; i++) {
+      const slotValue = this.buffer[(this.head - i + this.period) % this.period];
+      this.sum += slotValue;
+      this.weightedSum += slotValue * (this.period - i);
+    }
+  }
+
+  push(value) {
+    if (this.isFull) {
+      const oldest = this.buffer[(this.head + 1) % this.period];
+      this.weightedSum += this.period * value - this.sum;
+      this.sum += value - oldest;
+      this.head = (this.head + 1) % this.period;
+      this.buffer[this.head] = value;
+      this.count++;
+
+      // Once per window, reseed to stop floating point drift (amortized O(1))
+      if (this.count % this.period === 0) {
+        this.reseed();
+      }
+      return this.value;
+    }
+
+    this.head = this.count === 0 ? 0 : (this.head + 1) % this.period;
+    this.buffer[this.head] = value;
+    this.count++;
+
+    // Window just filled: seed the running sums once
+    if (this.isFull) {
+      this.reseed();
+    }
+
+    return this.value;
+  }
+
+  updateLast(value) {
+    if (this.count === 0) {
+      return this.push(value);
+    }
+
+    const previous = this.buffer[this.head];
+    this.buffer[this.head] = value;
+
+    if (this.isFull) {
+      this.sum += value - previous;
+      this.weightedSum += this.period * (value - previous);
+    }
+
+    return this.value;
+  }
+}
+
+/**
+ * Streaming HMA matching the Pine Script compatible batch calculation:
+ * - 0 until `period` closes are available
+ * - raw 2*WMA(n/2) - WMA(n) until sqrt(n) raw values exist
+ * - WMA(sqrt(n)) of the raw series afterwards
+ */
+class StreamingHMA {
+  constructor(period) {
+    this.period = period;
+    this.halfPeriod = Math.floor(period / 2);
+    this.sqrtPeriod = Math.floor(Math.sqrt(period));
+    this.halfWMA = new RollingWMA(this.halfPeriod);
+    this.fullWMA = new RollingWMA(period);
+    this.rawWMA = new RollingWMA(this.sqrtPeriod);
+    this.length = 0;
+    this.value = 0;
+  }
+
+  computeValue(rawHma) {
+    const index = this.length - 1;
+    if (index < this.period - 1) return 0;
+    if (index < this.period + this.sqrtPeriod - 2) return rawHma;
+    return this.rawWMA.value;
+  }
+
+  push(close) {
+    this.length++;
+    this.halfWMA.push(close);
+    this.fullWMA.push(close);
+
+    let rawHma = 0;
+    if (this.fullWMA.isFull) {
+      rawHma = 2 * this.halfWMA.value - this.fullWMA.value;
+      this.rawWMA.push(rawHma);
+    }
+
+    this.value = this.computeValue(rawHma);
+    return this.value;
+  }
+
+  updateLast(close) {
+    if (this.length === 0) {
+      return this.push(close);
+    }
+
+    this.halfWMA.updateLast(close);
+    this.fullWMA.updateLast(close);
+
+    let rawHma = 0;
+    if (this.fullWMA.isFull) {
+      rawHma = 2 * this.halfWMA.value - this.fullWMA.value;
+      this.rawWMA.updateLast(rawHma);
+    }
+
+    this.value = this.computeValue(rawHma);
+    return this.value;
+  }
+}
+
+module.exports = {
+  RollingWMA,
+  StreamingHMA
+};
@@ -1,149 +1,192 @@
 const axios = require('axios');
+const cacheService = require('./cacheService');
+const candleStore = require('./candleStore');
 const config = require('./config');
+const { StreamingHMA } = require('./hmaCalculator');
+const marketClock = require('./marketClock');
+const resampler = require('./resampler');
+const symbolService = require('./symbolService');
+const tradingCalendar = require('./tradingCalendar');
 
-// Cache for storing candles per option symbol
-const candleCache = new Map();
+// Cache for storing candles per symbol, period and resolution (least recently used variants are evicted)
+const MAX_CACHED_SERIES = 100;
+const candleCache = cacheService.createCache('hma', { maxEntries: MAX_CACHED_SERIES, ttlMs: null });
 
 // HMA constants
-const HMA_PERIOD = 55;
-const REQUIRED_CANDLES = 60; // 300 market minutes = 60 x 5-min candles
+const DEFAULT_HMA_PERIOD = 55;
+const DEFAULT_RESOLUTION = '5';
+const MIN_HMA_PERIOD = 2;
+const MAX_HMA_PERIOD = 500;
+const SUPPORTED_RESOLUTIONS = resampler.NATIVE_RESOLUTIONS; // other minute resolutions are resampled from 1-minute candles
+const SESSION_MINUTES = 375; // 9:15 AM to 3:30 PM
+const DEFAULT_CROSSOVER_LOOKAHEAD = 6;
+const MAX_CACHED_CANDLES = 500;
+const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 const TRADING_START_HOUR = 9;
 const TRADING_START_MINUTE = 15;
 const TRADING_END_HOUR = 15;
 const TRADING_END_MINUTE = 30;
-const MARKET_START_MINUTES = 555; // 9:15 AM
-const MARKET_END_MINUTES = 930; // 3:30 PM
+const MARKET_START_MINUTES = marketClock.MARKET_OPEN_MINUTES; // 9:15 AM IST
+const MARKET_END_MINUTES = marketClock.MARKET_CLOSE_MINUTES; // 3:30 PM IST
 
 /**
- * Format date for API
+ * Format date for API (IST wall-clock time)
  */
 function formatDateForAPI(date) {
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  const hours = String(date.getHours()).padStart(2, '0');
-  const minutes = String(date.getMinutes()).padStart(2, '0');
-  const seconds = String(date.getSeconds()).padStart(2, '0');
-  
-  return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
+  return marketClock.formatISTDateTime(date);
+}
+
+/**
+ * Get cache key for a symbol/period/resolution variant (candles from a history source are kept apart from live ones)
+ */
+function getCacheKey(symbol, period, resolution, historySource = null) {
+  const key = `${symbol}:${period}:${resolution}`;
+  return historySource ? `${historySource.id}:${key}` : key;
+}
+
+/**
+ * Candles needed before the HMA is fully smoothed (period + sqrt(period) - 1)
+ */
+function getRequiredCandles(period) {
+  return period + Math.floor(Math.sqrt(period)) - 1;
+}
+
+/**
+ * Number of candles a regular session produces at a resolution
+ */
+function getCandlesPerDay(resolution) {
+  if (resolution === 'D') return 1;
+  return Math.floor(SESSION_MINUTES / parseInt(resolution, 10));
+}
+
+/**
+ * Trading days of history needed to get a number of candles at a resolution.
+ * One extra day covers today's partial session.
+ */
+function getTradingDaysForCandles(candleCount, resolution) {
+  return Math.ceil(candleCount / getCandlesPerDay(resolution)) + 1;
+}
+
+/**
+ * Trading days of history needed for an HMA period at a resolution
+ */
+function getLookbackTradingDays(period, resolution) {
+  return getTradingDaysForCandles(getRequiredCandles(period), resolution);
+}
+
+/**
+ * Walk back from endDate by a number of trading days on the exchange's trading calendar
+ */
+function getLookbackStartDate(tradingDays, endDate = marketClock.now(), exchange = tradingCalendar.DEFAULT_EXCHANGE) {
+  // Count days on the IST calendar, then return IST midnight of the start day
+  const endKey = marketClock.getISTDateKey(endDate);
+  let startKey = endKey;
+
+  let counted = tradingCalendar.isTradingDay(endKey, exchange) ? 1 : 0;
+  while (counted < tradingDays) {
+    startKey = tradingCalendar.getPreviousTradingDay(startKey, exchange);
+    counted++;
+  }
+
+  const [year, month, day] = startKey.split('-').map(Number);
+  return marketClock.fromISTDateTime(year, month - 1, day);
+}
+
+/**
+ * Validate and normalize HMA options
+ */
+function normalizeHMAOptions(options = {}) {
+  const period = options.period !== undefined ? parseInt(options.period, 10) : DEFAULT_HMA_PERIOD;
+  const resolution = options.resolution !== undefined ? String(options.resolution).toUpperCase() : DEFAULT_RESOLUTION;
+
+  if (isNaN(period) || period < MIN_HMA_PERIOD || period > MAX_HMA_PERIOD) {
+    throw new Error(`Invalid HMA period: ${options.period}. Must be between ${MIN_HMA_PERIOD} and ${MAX_HMA_PERIOD}`);
+  }
+
+  if (!SUPPORTED_RESOLUTIONS.includes(resolution) && !resampler.isMinuteResolution(resolution)) {
+    throw new Error(`Invalid resolution: ${options.resolution}. Supported: ${SUPPORTED_RESOLUTIONS.join(', ')} or any minute resolution up to ${resampler.MAX_RESAMPLE_MINUTES}`);
+  }
+
+  return { period, resolution };
 }
 
 /**
  * Calculate HMA from candles array using Pine Script logic
  */
-function calculateHMAFromCandles(candles) {
-  if (candles.length < HMA_PERIOD) {
-    throw new Error(`Insufficient data. Need at least ${HMA_PERIOD} candles for HMA-${HMA_PERIOD}`);
+function calculateHMAFromCandles(candles, period = DEFAULT_HMA_PERIOD) {
+  if (candles.length < period) {
+    throw new Error(`Insufficient data. Need at least ${period} candles for HMA-${period}`);
   }
 
+  const calculator = new StreamingHMA(period);
   const hmaData = candles.map(candle => ({
     timestamp: candle.timestamp,
     close: candle.close,
-    hma: 0 // Will be calculated
+    hma: calculator.push(candle.close)
   }));
 
-  // Calculate HMA for each point starting from period-1
-  for (let i = HMA_PERIOD - 1; i < hmaData.length; i++) {
-    hmaData[i].hma = calculateHMAForPoint(hmaData, i, HMA_PERIOD);
-  }
-
   const currentHMA = hmaData[hmaData.length - 1]?.hma || 0;
 
   return {
-    period: HMA_PERIOD,
+    period,
     data: hmaData,
     currentHMA,
-    lastUpdate: new Date()
+    lastUpdate: new Date(),
+    calculator
   };
 }
 
 /**
- * Calculate HMA for a specific point using Pine Script logic
+ * Apply freshly fetched candles to a cached series in O(1) per candle.
+ * Newer candles are appended, the still-forming last candle is updated in place.
  */
-function calculateHMAForPoint(data, index, period) {
-  if (index < period - 1) return 0;
-  
-  const halfPeriod = Math.floor(period / 2);
-  const sqrtPeriod = Math.floor(Math.sqrt(period));
-  
-  // Calculate WMA with period/2
-  let wma1 = 0;
-  let weightSum1 = 0;
-  
-  for (let i = 0; i < halfPeriod; i++) {
-    const weight = halfPeriod - i;
-    wma1 += data[index - i].close * weight;
-    weightSum1 += weight;
-  }
-  
-  wma1 = wma1 / weightSum1;
-  
-  // Calculate WMA with period
-  let wma2 = 0;
-  let weightSum2 = 0;
-  
-  for (let i = 0; i < period; i++) {
-    const weight = period - i;
-    wma2 += data[index - i].close * weight;
-    weightSum2 += weight;
+function applyCandlesToCache(cached, candles) {
+  let appended = 0;
+
+  for (const candle of candles) {
+    const lastCandle = cached.candles[cached.candles.length - 1];
+
+    if (candle.timestamp > lastCandle.timestamp) {
+      const hma = cached.calculator.push(candle.close);
+      cached.candles.push({ ...candle, hma: cached.calculator.length >= cached.period ? hma : null });
+      appended++;
+    } else if (candle.timestamp === lastCandle.timestamp) {
+      const hma = cached.calculator.updateLast(candle.close);
+      cached.candles[cached.candles.length - 1] = { ...candle, hma: cached.calculator.length >= cached.period ? hma : null };
+    }
   }
-  
-  wma2 = wma2 / weightSum2;
-  
-  // Calculate raw HMA value: 2 * WMA(n/2) - WMA(n)
-  const rawHma = 2 * wma1 - wma2;
-  
-  // Apply final WMA with sqrt(n) to raw values
-  if (index < period + sqrtPeriod - 2) return rawHma;
-  
-  let finalHma = 0;
-  let weightSum3 = 0;
-  
-  for (let i = 0; i < sqrtPeriod; i++) {
-    const pos = index - i;
-    const rawPos = pos - (period - 1);
-    if (rawPos < 0) continue;
-    
-    const rawValue = 2 * calculateWMA(data, pos, halfPeriod) - calculateWMA(data, pos, period);
-    const weight = sqrtPeriod - i;
-    
-    finalHma += rawValue * weight;
-    weightSum3 += weight;
+
+  // Keep memory bounded; the calculator state does not need old candles
+  if (cached.candles.length > MAX_CACHED_CANDLES) {
+    cached.candles.splice(0, cached.candles.length - MAX_CACHED_CANDLES);
   }
-  
-  return finalHma / weightSum3;
+
+  return appended;
 }
 
 /**
- * Calculate WMA (Weighted Moving Average)
+ * Build the HMA response from a cached series
  */
-function calculateWMA(data, index, period) {
-  if (index < period - 1) return 0;
-  
-  let wma = 0;
-  let weightSum = 0;
-  
-  for (let i = 0; i < period; i++) {
-    const weight = period - i;
-    wma += data[index - i].close * weight;
-    weightSum += weight;
-  }
-  
-  return wma / weightSum;
+function buildHMAResponse(cached) {
+  return {
+    currentHMA: cached.candles[cached.candles.length - 1].hma,
+    data: cached.candles.map(c => ({ timestamp: c.timestamp, close: c.close, hma: c.hma })),
+    period: cached.period,
+    resolution: cached.resolution,
+    lastUpdate: cached.lastUpdate
+  };
 }
 
 /**
  * Convert historical data to candles and filter for trading hours
  */
-function convertAndFilterTradingHoursCandles(historicalData) {
-  return historicalData
+function convertAndFilterTradingHoursCandles(historicalData, resolution = DEFAULT_RESOLUTION) {
+  const candles = historicalData
     .map(candle => {
       // Convert to our candle format
       const timestamp = candle[0];
       const date = new Date(timestamp * 1000);
-      const hours = date.getHours();
-      const minutes = date.getMinutes();
-      const totalMinutes = hours * 60 + minutes;
+      const totalMinutes = marketClock.getISTMinutesOfDay(date);
       
       return {
         timestamp,
@@ -155,18 +198,48 @@ function convertAndFilterTradingHoursCandles(historicalData) {
         close: candle[4],
         volume: candle[5]
       };
-    })
-    .filter(candle => {
-      // Filter for trading hours (9:15 AM to 3:30 PM)
-      return candle.totalMinutes >= MARKET_START_MINUTES && 
-             candle.totalMinutes <= MARKET_END_MINUTES;
     });
+
+  // Daily candles are stamped at midnight, nothing to filter
+  if (resolution === 'D') {
+    return candles;
+  }
+
+  return candles.filter(candle => {
+    // Filter for trading hours (9:15 AM to 3:30 PM)
+    return candle.totalMinutes >= MARKET_START_MINUTES && 
+           candle.totalMinutes <= MARKET_END_MINUTES;
+  });
+}
+
+/**
+ * Fetch historical data, from the local candle store first and the Fyers API for anything missing.
+ * historySource ({ id, fetchCandles(symbol, resolution, fromDate, toDate) }, e.g. a market replay) replaces both.
+ */
+async function fetchHistoricalData(symbol, resolution, fromDate, toDate, accessToken, historySource = null) {
+  // Non-native timeframes are built from 1-minute candles
+  if (resampler.needsResampling(resolution)) {
+    const oneMinuteCandles = await fetchHistoricalData(symbol, '1', fromDate, toDate, accessToken, historySource);
+    return resampler.resampleCandles(oneMinuteCandles || [], resolution);
+  }
+
+  if (historySource) {
+    return await historySource.fetchCandles(symbol, resolution, fromDate, toDate);
+  }
+
+  if (!config.candleStore.enabled) {
+    return await fetchHistoryFromFyers(symbol, resolution, fromDate, toDate, accessToken);
+  }
+
+  // The store works on whole IST days
+  return await candleStore.getCandles(symbol, resolution, fromDate.slice(0, 10), toDate.slice(0, 10), (from, to) =>
+    fetchHistoryFromFyers(symbol, resolution, from, to, accessToken));
 }
 
 /**
  * Fetch historical data from Fyers API
  */
-async function fetchHistoricalData(symbol, resolution, fromDate, toDate, accessToken) {
+async function fetchHistoryFromFyers(symbol, resolution, fromDate, toDate, accessToken) {
   try {
     if (!accessToken) {
       throw new Error('No valid authentication token found');
@@ -206,75 +279,111 @@ async function fetchHistoricalData(symbol, resolution, fromDate, toDate, accessT
   }
 }
 
+/**
+ * Fetch the last N trading days of candles, converted and filtered to trading hours
+ */
+async function fetchTradingHoursCandles(symbol, resolution, lookbackDays, accessToken, historySource = null) {
+  const endDate = marketClock.now();
+  const startDate = getLookbackStartDate(lookbackDays, endDate, tradingCalendar.getExchangeForSymbol(symbol));
+  
+  const fromDate = formatDateForAPI(startDate);
+  const toDate = formatDateForAPI(endDate);
+  
+  console.log(`📅 Fetching ${lookbackDays} trading days of data from ${fromDate} to ${toDate}`);
+  
+  const historicalData = await fetchHistoricalData(symbol, resolution, fromDate, toDate, accessToken, historySource);
+  
+  if (!historicalData || historicalData.length === 0) {
+    throw new Error(`No historical data available for ${symbol}`);
+  }
+  
+  console.log(`📊 Fetched ${historicalData.length} candles for ${symbol}`);
+  
+  return convertAndFilterTradingHoursCandles(historicalData, resolution);
+}
+
 /**
  * Main entry point: Fetch and calculate HMA
+ * options: { period, resolution, historySource } (defaults HMA-55 on 5-minute candles from the candle store / Fyers)
  */
-async function fetchAndCalculateHMA(symbol, accessToken) {
-  console.log(`🎯 Fetching HMA for symbol: ${symbol}`);
+async function fetchAndCalculateHMA(symbol, accessToken, options = {}) {
+  const { period, resolution } = normalizeHMAOptions(options);
+  const historySource = options.historySource || null;
+  
+  // Concurrent requests for the same variant share one fetch
+  return candleCache.dedupe(getCacheKey(symbol, period, resolution, historySource),
+    () => refreshHMA(symbol, accessToken, period, resolution, historySource));
+}
+
+/**
+ * Serve HMA for a variant from cache, refreshing it incrementally or rebuilding it as needed
+ */
+async function refreshHMA(symbol, accessToken, period, resolution, historySource) {
+  const requiredCandles = getRequiredCandles(period);
+  const cacheKey = getCacheKey(symbol, period, resolution, historySource);
+  
+  console.log(`🎯 Fetching HMA-${period} (${resolution}) for symbol: ${symbol}`);
   
   try {
     // Check cache first
-    const cached = candleCache.get(symbol);
-    const now = new Date();
+    const cached = candleCache.get(cacheKey);
+    const now = marketClock.now();
     
     if (cached && 
-        cached.candles.length >= REQUIRED_CANDLES && 
-        (now.getTime() - cached.lastUpdate.getTime()) < 5 * 60 * 1000) { // 5 minutes cache
-      console.log(`📊 Using cached HMA data for ${symbol}`);
-      return {
-        currentHMA: cached.candles[cached.candles.length - 1].hma,
-        data: cached.candles.map(c => ({ timestamp: c.timestamp, close: c.close, hma: c.hma })),
-        period: HMA_PERIOD,
-        lastUpdate: cached.lastUpdate
-      };
+        cached.candles.length >= requiredCandles && 
+        (now.getTime() - cached.lastUpdate.getTime()) < CACHE_TTL) {
+      console.log(`📊 Using cached HMA data for ${cacheKey}`);
+      return buildHMAResponse(cached);
     }
     
-    // Calculate date range for fetching data (last trading day + today)
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - 2); // Get 2 days of data to ensure we have enough
-    
-    const fromDate = formatDateForAPI(startDate);
-    const toDate = formatDateForAPI(endDate);
-    
-    console.log(`📅 Fetching data from ${fromDate} to ${toDate}`);
-    
-    // Fetch historical data
-    const historicalData = await fetchHistoricalData(symbol, '5', fromDate, toDate, accessToken);
-    
-    if (!historicalData || historicalData.length === 0) {
-      throw new Error(`No historical data available for ${symbol}`);
+    // Cache expired: only fetch the tail since the last cached candle and update incrementally
+    if (cached && cached.candles.length >= requiredCandles) {
+      const lastCandle = cached.candles[cached.candles.length - 1];
+      const fromDate = formatDateForAPI(new Date(lastCandle.timestamp * 1000));
+      const toDate = formatDateForAPI(now);
+      
+      const historicalData = await fetchHistoricalData(symbol, resolution, fromDate, toDate, accessToken, historySource);
+      const appended = applyCandlesToCache(cached, convertAndFilterTradingHoursCandles(historicalData || [], resolution));
+      cached.lastUpdate = marketClock.now();
+      
+      console.log(`✅ HMA updated incrementally for ${cacheKey} (+${appended} candles): ${cached.calculator.value.toFixed(2)}`);
+      return buildHMAResponse(cached);
     }
     
-    console.log(`📊 Fetched ${historicalData.length} candles for ${symbol}`);
-    
-    // Convert and filter candles for trading hours
-    const candles = convertAndFilterTradingHoursCandles(historicalData);
+    // Fetch enough trading days of candles for the period and resolution
+    const lookbackDays = getLookbackTradingDays(period, resolution);
+    const candles = await fetchTradingHoursCandles(symbol, resolution, lookbackDays, accessToken, historySource);
     
-    if (candles.length < REQUIRED_CANDLES) {
-      throw new Error(`Insufficient data for HMA calculation. Need ${REQUIRED_CANDLES} candles, got ${candles.length}`);
+    if (candles.length < requiredCandles) {
+      throw new Error(`Insufficient data for HMA calculation. Need ${requiredCandles} candles, got ${candles.length}`);
     }
     
     // Calculate HMA
-    const hmaConfig = calculateHMAFromCandles(candles);
+    const { calculator, ...hmaConfig } = calculateHMAFromCandles(candles, period);
     
     // Update cache with HMA values
     const candlesWithHMA = candles.map((candle, index) => ({
       ...candle,
-      hma: index >= HMA_PERIOD - 1 ? hmaConfig.data[index].hma : null
+      hma: index >= period - 1 ? hmaConfig.data[index].hma : null
     }));
     
-    // Store in cache
-    candleCache.set(symbol, {
+    // Store in cache, keeping the calculator so later refreshes are incremental
+    const cacheEntry = {
       candles: candlesWithHMA,
-      lastUpdate: new Date(),
+      calculator,
+      period,
+      resolution,
+      lastUpdate: marketClock.now(),
       symbol,
+      sourceId: historySource ? historySource.id : null,
       isLiveMonitoring: false
-    });
+    };
+    applyCandlesToCache(cacheEntry, []);
+    candleCache.set(cacheKey, cacheEntry);
     
-    console.log(`✅ HMA calculation completed for ${symbol}: ${hmaConfig.currentHMA.toFixed(2)}`);
+    console.log(`✅ HMA calculation completed for ${cacheKey}: ${hmaConfig.currentHMA.toFixed(2)}`);
     
-    return hmaConfig;
+    return { ...hmaConfig, resolution };
   } catch (error) {
     console.error(`❌ Error calculating HMA for ${symbol}:`, error);
     throw error;
@@ -282,36 +391,126 @@ async function fetchAndCalculateHMA(symbol, accessToken) {
 }
 
 /**
- * Get cache statistics
+ * Find every close-vs-HMA crossover in a candle series, with the move over the next `lookahead` candles
  */
-function getCacheStats() {
-  const stats = [];
+function findCrossovers(candles, lookahead = DEFAULT_CROSSOVER_LOOKAHEAD) {
+  const crossovers = [];
   
-  for (const [symbol, cache] of candleCache.entries()) {
-    stats.push({
-      symbol,
-      candleCount: cache.candles.length,
-      lastUpdate: cache.lastUpdate
+  for (let i = 1; i < candles.length; i++) {
+    const prev = candles[i - 1];
+    const candle = candles[i];
+    
+    if (prev.hma === null || candle.hma === null) continue;
+    
+    let direction = null;
+    if (prev.close <= prev.hma && candle.close > candle.hma) {
+      direction = 'BULLISH';
+    } else if (prev.close >= prev.hma && candle.close < candle.hma) {
+      direction = 'BEARISH';
+    }
+    
+    if (!direction) continue;
+    
+    const following = candles.slice(i + 1, i + 1 + lookahead);
+    const lastClose = following.length > 0 ? following[following.length - 1].close : candle.close;
+    const highest = following.length > 0 ? Math.max(...following.map(c => c.high ?? c.close)) : candle.close;
+    const lowest = following.length > 0 ? Math.min(...following.map(c => c.low ?? c.close)) : candle.close;
+    const sign = direction === 'BULLISH' ? 1 : -1;
+    
+    crossovers.push({
+      direction,
+      timestamp: candle.timestamp,
+      time: new Date(candle.timestamp * 1000),
+      close: candle.close,
+      hma: candle.hma,
+      followThrough: {
+        candles: following.length,
+        complete: following.length === lookahead,
+        closeChange: sign * (lastClose - candle.close),
+        maxFavorable: direction === 'BULLISH' ? highest - candle.close : candle.close - lowest,
+        maxAdverse: direction === 'BULLISH' ? candle.close - lowest : highest - candle.close
+      }
     });
   }
   
-  return stats;
+  return crossovers;
 }
 
 /**
- * Clear cache for a symbol
+ * List historical crossovers for a symbol from its cached candles (fetched first if needed)
+ */
+async function getCrossoverSignals(symbol, accessToken, options = {}) {
+  const { period, resolution } = normalizeHMAOptions(options);
+  const lookahead = options.lookahead !== undefined ? parseInt(options.lookahead, 10) : DEFAULT_CROSSOVER_LOOKAHEAD;
+  
+  if (isNaN(lookahead) || lookahead < 1) {
+    throw new Error(`Invalid lookahead: ${options.lookahead}`);
+  }
+  
+  // Populates or refreshes the cache for this variant
+  await fetchAndCalculateHMA(symbol, accessToken, { period, resolution });
+  const cached = candleCache.peek(getCacheKey(symbol, period, resolution));
+  
+  return {
+    symbol,
+    period,
+    resolution,
+    lookahead,
+    candleCount: cached.candles.length,
+    crossovers: findCrossovers(cached.candles, lookahead),
+    lastUpdate: cached.lastUpdate
+  };
+}
+
+/**
+ * Get cache statistics
+ */
+function getCacheStats() {
+  const entries = candleCache.values().map(cache => ({
+    symbol: cache.symbol,
+    period: cache.period,
+    resolution: cache.resolution,
+    candleCount: cache.candles.length,
+    lastUpdate: cache.lastUpdate
+  }));
+  
+  return {
+    ...candleCache.getStats(),
+    entries
+  };
+}
+
+/**
+ * Clear cache for a symbol (all period/resolution variants)
  */
 function clearCache(symbol) {
   if (symbol) {
-    candleCache.delete(symbol);
+    candleCache.deleteWhere(cache => cache.symbol === symbol);
     console.log(`🧹 Cleared cache for ${symbol}`);
     return true;
   }
   return false;
 }
 
+/**
+ * Clear every cached variant built from a history source (e.g. a finished replay)
+ */
+function clearSourceCache(sourceId) {
+  candleCache.deleteWhere(cache => cache.sourceId === sourceId);
+}
+
 module.exports = {
+  SUPPORTED_RESOLUTIONS,
+  normalizeHMAOptions,
+  getLookbackTradingDays,
+  getTradingDaysForCandles,
+  getLookbackStartDate,
+  convertAndFilterTradingHoursCandles,
+  fetchTradingHoursCandles,
   fetchAndCalculateHMA,
+  findCrossovers,
+  getCrossoverSignals,
   getCacheStats,
-  clearCache
+  clearCache,
+  clearSourceCache
 };
@@ -12,12 +12,27 @@ const bodyParser = require('body-parser');
 const authService = require('./authService');
 const marketDataService = require('./marketDataService');
 const hmaService = require('./hmaService');
+const indicatorService = require('./indicatorService');
 const symbolService = require('./symbolService');
+const instrumentRegistry = require('./instrumentRegistry');
+const symbolMasterService = require('./symbolMasterService');
+const tradingCalendar = require('./tradingCalendar');
+const marketClock = require('./marketClock');
 const tradeLogService = require('./tradeLogService');
 const tradingStateService = require('./tradingStateService');
 const orderService = require('./orderService');
 const liveMarketDataService = require('./liveMarketDataService');
+const monitoringService = require('./monitoringService');
+const marketFeedService = require('./marketFeedService');
+const backtestService = require('./backtestService');
+const candleStore = require('./candleStore');
+const optionChainService = require('./optionChainService');
+const optionSentimentService = require('./optionSentimentService');
+const cacheService = require('./cacheService');
+const replayService = require('./replayService');
+const resampler = require('./resampler');
 const config = require('./config');
+const eventBus = require('./eventBus');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -73,42 +88,8 @@ if (fs.existsSync(clientDistPath)) {
   console.log('📁 Client dist directory not found - running as API-only backend');
 }
 
-// Simple in-memory cache for market data
-const marketDataCache = {
-  quotes: new Map(),
-  depth: new Map(),
-  historical: new Map(),
-  
-  // Method to clear all caches
-  clearAll() {
-    this.quotes.clear();
-    this.depth.clear();
-    this.historical.clear();
-    console.log('🧹 All market data caches cleared');
-  },
-  
-  // Method to clear specific cache
-  clear(cacheType) {
-    if (this[cacheType]) {
-      this[cacheType].clear();
-      console.log(`🧹 ${cacheType} cache cleared`);
-      return true;
-    }
-    return false;
-  },
-  
-  // Method to get cache stats
-  getStats() {
-    return {
-      quotes: this.quotes.size,
-      depth: this.depth.size,
-      historical: this.historical.size
-    };
-  }
-};
-
-// Cache TTL in milliseconds (30 seconds)
-const CACHE_TTL = 30 * 1000;
+// Shared market data caches (quotes, depth, historical)
+const marketDataCache = cacheService.marketDataCaches;
 
 // Rate limiting - only apply in production
 const apiLimiter = rateLimit({
@@ -182,6 +163,8 @@ app.post('/api/fyers-callback', async (req, res) => {
     const tokenData = await authService.validateAuthCode(code, appId, secret);
     
     if (tokenData.access_token) {
+      // The shared market feed connects with the logged-in token
+      marketFeedService.setAccessToken(`${appId}:${tokenData.access_token}`);
       res.json(tokenData);
     } else {
       res.status(400).json({ error: tokenData.message || 'Authentication failed' });
@@ -203,6 +186,7 @@ app.get('/api/fyers-callback', async (req, res) => {
     const result = await authService.validateAuthCode(code);
     
     if (result.access_token) {
+      marketFeedService.setAccessToken(result.access_token);
       res.json(result);
     } else {
       res.status(400).json({ error: result.message || 'Authentication failed' });
@@ -228,47 +212,48 @@ app.get('/api/profile', authenticate, async (req, res) => {
 app.get('/api/market-data/historical', authenticate, async (req, res) => {
   try {
     const { symbol, resolution, from, to } = req.query;
+    const resample = req.query.resample === 'true';
     
     if (!symbol || !resolution) {
       return res.status(400).json({ error: 'Symbol and resolution are required' });
     }
     
-    console.log(`📈 Historical data request for ${symbol}, resolution: ${resolution}`);
-    
-    // Check cache first
-    const cacheKey = `${symbol}:${resolution}:${from || ''}:${to || ''}`;
-    const cachedData = marketDataCache.historical.get(cacheKey);
-    
-    if (cachedData && (Date.now() - cachedData.timestamp < CACHE_TTL)) {
-      console.log(`🔄 Returning cached historical data for ${symbol} (age: ${Math.round((Date.now() - cachedData.timestamp) / 1000)}s)`);
-      return res.json({
-        ...cachedData.data,
-        cached: true
-      });
+    if (resample && !resampler.isMinuteResolution(resolution)) {
+      return res.status(400).json({ error: 'Only minute resolutions can be resampled' });
     }
     
-    console.log(`📈 Fetching fresh historical data for ${symbol}`);
-    const data = await marketDataService.getHistoricalData({
-      symbol,
-      resolution,
-      rangeFrom: from,
-      rangeTo: to,
-      accessToken: req.accessToken
-    });
-    
-    let responseData;
+    console.log(`📈 Historical data request for ${symbol}, resolution: ${resolution}`);
     
-    // Format the response to match what the client expects
-    responseData = {
-      success: true,
-      candles: data.candles || []
-    };
+    // Cached until the candle in progress closes; concurrent requests share one fetch
+    const cacheKey = `${symbol}:${resolution}:${from || ''}:${to || ''}:${resample}`;
+    const { value: responseData, cached } = await marketDataCache.historical.getOrFetch(cacheKey, async () => {
+      console.log(`📈 Fetching fresh historical data for ${symbol}`);
+      const data = await marketDataService.getHistoricalData({
+        symbol,
+        resolution,
+        rangeFrom: from,
+        rangeTo: to,
+        accessToken: req.accessToken,
+        resample
+      });
+      
+      // Format the response to match what the client expects
+      const responseData = {
+        success: true,
+        candles: data.candles || [],
+        gaps: data.gaps || []
+      };
+      if (data.resampledFrom) {
+        responseData.resampledFrom = data.resampledFrom;
+        responseData.lastCandlePartial = data.lastCandlePartial;
+      }
+      return responseData;
+    }, () => cacheService.getTTLUntilCandleClose(resolution));
     
-    // Store in cache
-    marketDataCache.historical.set(cacheKey, {
-      timestamp: Date.now(),
-      data: responseData
-    });
+    if (cached) {
+      console.log(`🔄 Returning cached historical data for ${symbol} (age: ${Math.round(marketDataCache.historical.getAge(cacheKey) / 1000)}s)`);
+      return res.json({ ...responseData, cached: true });
+    }
     
     res.json(responseData);
   } catch (error) {
@@ -303,15 +288,14 @@ app.get('/api/market-data/quotes', authenticate, async (req, res) => {
     
     const symbolsArray = symbols.split(',');
     
-    if (symbolsArray.length === 1) {
-      // Single symbol
-      const quoteData = await liveMarketDataService.fetchMarketData(symbols, accessToken);
-      res.json({ success: true, data: quoteData });
-    } else {
-      // Multiple symbols
-      const quotesData = await liveMarketDataService.fetchMultipleMarketData(symbolsArray, accessToken);
-      res.json({ success: true, data: quotesData });
-    }
+    // Same symbol list within the quote TTL is served from cache; parallel requests share one call
+    const { value: data, cached } = await marketDataCache.quotes.getOrFetch(symbolsArray.join(','), () => (
+      symbolsArray.length === 1
+        ? liveMarketDataService.fetchMarketData(symbols, accessToken)
+        : liveMarketDataService.fetchMultipleMarketData(symbolsArray, accessToken)
+    ));
+    
+    res.json({ success: true, data, cached });
   } catch (error) {
     console.error('Market data error:', error);
     res.status(500).json({ success: false, error: error.message });
@@ -326,27 +310,15 @@ app.get('/api/market-data/depth', authenticate, async (req, res) => {
       return res.status(400).json({ error: 'Symbol parameter is required' });
     }
     
-    // Check cache first
-    const cacheKey = symbol;
-    const cachedData = marketDataCache.depth.get(cacheKey);
+    const { value: data, cached } = await marketDataCache.depth.getOrFetch(symbol, () => {
+      console.log(`📊 Fetching fresh market depth for ${symbol}`);
+      return liveMarketDataService.getMarketDepth(symbol, req.accessToken);
+    });
     
-    if (cachedData && (Date.now() - cachedData.timestamp < CACHE_TTL)) {
-      console.log(`🔄 Returning cached market depth for ${symbol} (age: ${Math.round((Date.now() - cachedData.timestamp) / 1000)}s)`);
-      return res.json({
-        ...cachedData.data,
-        cached: true
-      });
+    if (cached) {
+      return res.json({ ...data, cached: true });
     }
     
-    console.log(`📊 Fetching fresh market depth for ${symbol}`);
-    const data = await liveMarketDataService.getMarketDepth(symbol, req.accessToken);
-    
-    // Store in cache
-    marketDataCache.depth.set(cacheKey, {
-      timestamp: Date.now(),
-      data: data
-    });
-    
     res.json(data);
   } catch (error) {
     console.error('❌ Market depth error:', error);
@@ -354,16 +326,273 @@ app.get('/api/market-data/depth', authenticate, async (req, res) => {
   }
 });
 
+// Option chain: strikes around the live ATM with CE/PE quotes, OI and bid/ask
+app.get('/api/option-chain', authenticate, async (req, res) => {
+  try {
+    const { index, expiry } = req.query;
+    const targetDelta = req.query.delta !== undefined ? parseFloat(req.query.delta) : undefined;
+    
+    if (!index) {
+      return res.status(400).json({ error: 'Index parameter is required' });
+    }
+    
+    if (expiry && !/^\d{4}-\d{2}-\d{2}$/.test(expiry)) {
+      return res.status(400).json({ error: 'Expiry must be a date (YYYY-MM-DD)' });
+    }
+    
+    if (targetDelta !== undefined && (isNaN(targetDelta) || Math.abs(targetDelta) > 1)) {
+      return res.status(400).json({ error: 'Delta must be between -1 and 1' });
+    }
+    
+    if (!symbolService.getIndexQuoteSymbol(index)) {
+      return res.status(400).json({ error: `Unknown index: ${index}` });
+    }
+    
+    // Quotes and depth expect appId:token
+    const accessToken = req.accessToken.includes(':') ? req.accessToken : `${config.fyers.appId}:${req.accessToken}`;
+    
+    const chain = await optionChainService.getOptionChain({ index, expiry, targetDelta, accessToken });
+    res.json({ success: true, ...chain });
+  } catch (error) {
+    console.error('❌ Option chain error:', error);
+    res.status(500).json({ success: false, error: error.message || 'Failed to build option chain' });
+  }
+});
+
+// Option sentiment: PCR, max pain and OI change over the session (captures a snapshot when due)
+app.get('/api/sentiment', authenticate, async (req, res) => {
+  try {
+    const { index, expiry, date } = req.query;
+    
+    if (!index) {
+      return res.status(400).json({ error: 'Index parameter is required' });
+    }
+    
+    if ((expiry && !/^\d{4}-\d{2}-\d{2}$/.test(expiry)) || (date && !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+      return res.status(400).json({ error: 'Expiry and date must be dates (YYYY-MM-DD)' });
+    }
+    
+    if (!symbolService.getIndexQuoteSymbol(index)) {
+      return res.status(400).json({ error: `Unknown index: ${index}` });
+    }
+    
+    // Quotes and depth expect appId:token
+    const accessToken = req.accessToken.includes(':') ? req.accessToken : `${config.fyers.appId}:${req.accessToken}`;
+    
+    const sentiment = await optionSentimentService.getSentiment({ index, expiry, date, accessToken });
+    res.json({ success: true, ...sentiment });
+  } catch (error) {
+    console.error('❌ Option sentiment error:', error);
+    res.status(500).json({ success: false, error: error.message || 'Failed to get option sentiment' });
+  }
+});
+
+// Analyse recorded option chain snapshots without calling the broker
+app.post('/api/sentiment/analyze', (req, res) => {
+  try {
+    const { snapshots } = req.body;
+    
+    if (!Array.isArray(snapshots) || snapshots.length === 0) {
+      return res.status(400).json({ error: 'snapshots must be a non-empty array' });
+    }
+    
+    if (snapshots.some(snapshot => !snapshot || !Array.isArray(snapshot.strikes))) {
+      return res.status(400).json({ error: 'Each snapshot needs a strikes array' });
+    }
+    
+    res.json({ success: true, ...optionSentimentService.analyzeSnapshots(snapshots) });
+  } catch (error) {
+    console.error('❌ Sentiment analysis error:', error);
+    res.status(500).json({ success: false, error: error.message || 'Failed to analyse snapshots' });
+  }
+});
+
+// Implied volatility and Greeks for one option contract
+app.get('/api/options/greeks', authenticate, async (req, res) => {
+  try {
+    const { index, optionType, expiry } = req.query;
+    const strike = parseFloat(req.query.strike);
+    
+    if (!index || !optionType || !req.query.strike) {
+      return res.status(400).json({ error: 'Index, strike and optionType are required' });
+    }
+    
+    if (!['CE', 'PE'].includes(optionType)) {
+      return res.status(400).json({ error: 'optionType must be CE or PE' });
+    }
+    
+    if (isNaN(strike) || strike <= 0) {
+      return res.status(400).json({ error: `Invalid strike: ${req.query.strike}` });
+    }
+    
+    if (expiry && !/^\d{4}-\d{2}-\d{2}$/.test(expiry)) {
+      return res.status(400).json({ error: 'Expiry must be a date (YYYY-MM-DD)' });
+    }
+    
+    if (!symbolService.getIndexQuoteSymbol(index)) {
+      return res.status(400).json({ error: `Unknown index: ${index}` });
+    }
+    
+    // Quotes expect appId:token
+    const accessToken = req.accessToken.includes(':') ? req.accessToken : `${config.fyers.appId}:${req.accessToken}`;
+    
+    const analytics = await optionChainService.getOptionAnalytics({ index, strike, optionType, expiry, accessToken });
+    res.json({ success: true, ...analytics });
+  } catch (error) {
+    console.error('❌ Option Greeks error:', error);
+    res.status(500).json({ success: false, error: error.message || 'Failed to calculate option Greeks' });
+  }
+});
+
+// Streaming routes
+// Event stream: push updates for quotes, monitoring, orders, trade logs and trading state
+app.get('/api/stream', (req, res) => {
+  try {
+    const token = req.headers.authorization || req.query.token;
+    const userId = req.query.userId || 'default';
+    const topics = (req.query.topics || ['quotes', ...eventBus.TOPICS].join(',')).split(',').map(topic => topic.trim()).filter(Boolean);
+    const symbols = (req.query.symbols || '').split(',').map(symbol => symbol.trim()).filter(Boolean);
+    
+    if (!token) {
+      return res.status(401).json({ error: 'Authentication token is required' });
+    }
+    
+    const unknownTopics = topics.filter(topic => topic !== 'quotes' && !eventBus.TOPICS.includes(topic));
+    if (unknownTopics.length > 0) {
+      return res.status(400).json({ error: `Unknown topics: ${unknownTopics.join(', ')}. Supported: quotes, ${eventBus.TOPICS.join(', ')}` });
+    }
+    
+    const invalidSymbols = symbols.filter(symbol => !liveMarketDataService.isValidSymbol(symbol));
+    if (invalidSymbols.length > 0) {
+      return res.status(400).json({ error: `Invalid symbol format for: ${invalidSymbols.join(', ')}` });
+    }
+    
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+    
+    // Trading state events only go to the user they belong to
+    const isWanted = event => topics.includes(event.topic) &&
+      (event.topic !== 'trading-state' || event.data.userId === userId);
+    
+    // Resume: replay buffered events after Last-Event-ID, or tell the client to refetch if they are gone
+    const lastEventId = Number(req.headers['last-event-id'] || req.query.lastEventId);
+    if (lastEventId) {
+      const { events, isComplete } = eventBus.getEventsSince(lastEventId);
+      if (!isComplete) {
+        res.write(`event: reset\ndata: ${JSON.stringify({ reason: 'Missed events are no longer buffered' })}\n\n`);
+      }
+      events.filter(isWanted).forEach(event => res.write(eventBus.formatSSE(event)));
+    }
+    
+    const unsubscribeEvents = eventBus.subscribe(event => {
+      if (isWanted(event)) {
+        res.write(eventBus.formatSSE(event));
+      }
+    });
+    
+    // Quotes are live state, not replayed: sent without ids from the market feed
+    let unsubscribeQuotes = () => {};
+    if (topics.includes('quotes') && symbols.length > 0) {
+      const sendQuote = tick => res.write(`event: quotes\ndata: ${JSON.stringify({ topic: 'quotes', type: 'quote', data: tick })}\n\n`);
+      unsubscribeQuotes = marketFeedService.subscribe(symbols, sendQuote);
+      symbols.map(symbol => marketFeedService.getLatestTick(symbol)).filter(Boolean).forEach(sendQuote);
+    }
+    
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15 * 1000);
+    console.log(`📡 Stream client connected (${topics.join(', ')})`);
+    
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribeEvents();
+      unsubscribeQuotes();
+      console.log(`📴 Stream client disconnected (${topics.join(', ')})`);
+    });
+  } catch (error) {
+    console.error('Stream error:', error);
+    res.status(500).json({ error: error.message || 'Failed to open event stream' });
+  }
+});
+
+// Market feed connection status and subscribed symbols
+app.get('/api/market-feed/status', (req, res) => {
+  try {
+    res.json(marketFeedService.getStatus());
+  } catch (error) {
+    console.error('Market feed status error:', error);
+    res.status(500).json({ error: error.message || 'Failed to get market feed status' });
+  }
+});
+
+// Server-Sent Events stream of ticks; EventSource cannot set headers, so the token may come as ?token=
+app.get('/api/market-feed/stream', (req, res) => {
+  try {
+    const token = req.headers.authorization || req.query.token;
+    const symbols = (req.query.symbols || '').split(',').map(symbol => symbol.trim()).filter(Boolean);
+    
+    if (!token) {
+      return res.status(401).json({ error: 'Authentication token is required' });
+    }
+    
+    if (symbols.length === 0) {
+      return res.status(400).json({ error: 'Symbols parameter is required' });
+    }
+    
+    const invalidSymbols = symbols.filter(symbol => !liveMarketDataService.isValidSymbol(symbol));
+    if (invalidSymbols.length > 0) {
+      return res.status(400).json({ error: `Invalid symbol format for: ${invalidSymbols.join(', ')}` });
+    }
+    
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+    
+    const sendTick = tick => res.write(`event: tick\ndata: ${JSON.stringify(tick)}\n\n`);
+    
+    const unsubscribe = marketFeedService.subscribe(symbols, sendTick);
+    
+    // Latest known ticks first so clients don't wait for the next trade
+    symbols.map(symbol => marketFeedService.getLatestTick(symbol)).filter(Boolean).forEach(sendTick);
+    
+    // Comment lines keep proxies from closing idle streams
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15 * 1000);
+    
+    console.log(`📡 Market feed client connected for ${symbols.join(', ')}`);
+    
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      console.log(`📴 Market feed client disconnected for ${symbols.join(', ')}`);
+    });
+  } catch (error) {
+    console.error('Market feed stream error:', error);
+    res.status(500).json({ error: error.message || 'Failed to open market feed stream' });
+  }
+});
+
 // HMA routes
 app.get('/api/hma-calc', authenticate, async (req, res) => {
   try {
-    const { symbol } = req.query;
+    const { symbol, period, resolution } = req.query;
     
     if (!symbol) {
       return res.status(400).json({ error: 'Symbol parameter is required' });
     }
     
-    const data = await hmaService.fetchAndCalculateHMA(symbol, req.accessToken);
+    let options;
+    try {
+      options = hmaService.normalizeHMAOptions({ period, resolution });
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+    
+    const data = await hmaService.fetchAndCalculateHMA(symbol, req.accessToken, options);
     res.json(data);
   } catch (error) {
     console.error('HMA calculation error:', error);
@@ -371,6 +600,113 @@ app.get('/api/hma-calc', authenticate, async (req, res) => {
   }
 });
 
+app.get('/api/hma-crossovers', authenticate, async (req, res) => {
+  try {
+    const { symbol, period, resolution, lookahead, direction } = req.query;
+    
+    if (!symbol) {
+      return res.status(400).json({ error: 'Symbol parameter is required' });
+    }
+    
+    if (direction && !['BULLISH', 'BEARISH'].includes(direction.toUpperCase())) {
+      return res.status(400).json({ error: `Invalid direction: ${direction}. Use BULLISH or BEARISH` });
+    }
+    
+    try {
+      hmaService.normalizeHMAOptions({ period, resolution });
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+    
+    const data = await hmaService.getCrossoverSignals(symbol, req.accessToken, { period, resolution, lookahead });
+    
+    if (direction) {
+      data.crossovers = data.crossovers.filter(crossover => crossover.direction === direction.toUpperCase());
+    }
+    
+    res.json({ success: true, ...data });
+  } catch (error) {
+    console.error('HMA crossover listing error:', error);
+    res.status(500).json({ success: false, error: error.message || 'Failed to list HMA crossovers' });
+  }
+});
+
+// Indicator routes
+app.get('/api/indicators', authenticate, async (req, res) => {
+  try {
+    const { symbol, resolution = '5', indicators } = req.query;
+    
+    if (!symbol || !indicators) {
+      return res.status(400).json({ error: 'Symbol and indicators parameters are required' });
+    }
+    
+    try {
+      hmaService.normalizeHMAOptions({ resolution });
+      indicatorService.parseIndicatorSpecs(indicators);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+    
+    const data = await indicatorService.fetchAndCalculateIndicators(symbol, resolution, indicators, req.accessToken);
+    res.json({ success: true, ...data });
+  } catch (error) {
+    console.error('Indicator calculation error:', error);
+    res.status(500).json({ success: false, error: error.message || 'Failed to calculate indicators' });
+  }
+});
+
+// Backtest routes
+app.post('/api/backtests', authenticate, (req, res) => {
+  try {
+    let backtest;
+    try {
+      backtest = backtestService.createBacktest(req.body || {}, req.accessToken);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+    
+    res.status(202).json({ success: true, id: backtest.id, status: backtest.status });
+  } catch (error) {
+    console.error('Backtest start error:', error);
+    res.status(500).json({ success: false, error: error.message || 'Failed to start backtest' });
+  }
+});
+
+app.get('/api/backtests', async (req, res) => {
+  try {
+    const backtests = await backtestService.listBacktests();
+    res.json({ success: true, backtests });
+  } catch (error) {
+    console.error('Backtest list error:', error);
+    res.status(500).json({ success: false, error: error.message || 'Failed to list backtests' });
+  }
+});
+
+app.get('/api/backtests/:id', async (req, res) => {
+  try {
+    const backtest = await backtestService.getBacktest(req.params.id);
+    
+    if (!backtest) {
+      return res.status(404).json({ success: false, error: `Backtest not found: ${req.params.id}` });
+    }
+    
+    res.json({ success: true, backtest });
+  } catch (error) {
+    console.error('Backtest fetch error:', error);
+    res.status(500).json({ success: false, error: error.message || 'Failed to get backtest' });
+  }
+});
+
+app.get('/api/candle-store', async (req, res) => {
+  try {
+    const series = await candleStore.listSeries();
+    res.json({ success: true, series });
+  } catch (error) {
+    console.error('Candle store list error:', error);
+    res.status(500).json({ success: false, error: error.message || 'Failed to list stored candles' });
+  }
+});
+
 app.get('/api/hma-cache-stats', (req, res) => {
   try {
     const stats = hmaService.getCacheStats();
@@ -425,6 +761,12 @@ app.get('/api/symbols/strike-symbols', (req, res) => {
     if (!indexType || !openPrice) {
       return res.status(400).json({ error: 'Index type and open price are required' });
     }
+    if (!symbolService.getIndexConfig(indexType)) {
+      return res.status(400).json({ error: `Index configuration not found for: ${indexType}` });
+    }
+    if (!(parseFloat(openPrice) > 0)) {
+      return res.status(400).json({ error: 'Open price must be a positive number' });
+    }
     
     const symbols = symbolService.generateStrikeSymbols(
       indexType,
@@ -456,6 +798,31 @@ app.get('/api/symbols/expiry-dates', (req, res) => {
   }
 });
 
+// Expiry rules per index from the instrument registry (effective-dated expiry cycle, weekday and symbol format)
+app.get('/api/symbols/expiry-rules', (req, res) => {
+  try {
+    const indices = Object.fromEntries(instrumentRegistry.getInstruments().map(instrument => [
+      instrument.key,
+      instrumentRegistry.describeExpiryRules(instrument.expiryRules)
+    ]));
+    res.json({ success: true, version: instrumentRegistry.getRegistryInfo().version, indices });
+  } catch (error) {
+    console.error('Expiry rules error:', error);
+    res.status(500).json({ success: false, error: error.message || 'Failed to get expiry rules' });
+  }
+});
+
+// Reload data/instruments.json after it is edited (an invalid file is rejected and the current registry kept)
+app.post('/api/symbols/instruments/reload', authenticate, (req, res) => {
+  try {
+    const registry = instrumentRegistry.loadInstruments();
+    res.json({ success: true, ...registry });
+  } catch (error) {
+    console.error('Instrument registry reload error:', error);
+    res.status(400).json({ success: false, error: error.message || 'Failed to reload instrument registry' });
+  }
+});
+
 // Trade log routes
 app.get('/api/trade-logs', async (req, res) => {
   try {
@@ -682,11 +1049,9 @@ app.get('/api/orders', authenticate, async (req, res) => {
 // Cache management endpoint
 app.get('/api/cache/stats', (req, res) => {
   try {
-    const stats = marketDataCache.getStats();
     res.json({
       success: true,
-      stats,
-      ttl: CACHE_TTL / 1000 // in seconds
+      stats: cacheService.getAllStats()
     });
   } catch (error) {
     console.error('❌ Cache stats error:', error);
@@ -699,12 +1064,12 @@ app.post('/api/cache/clear', authenticate, (req, res) => {
     const { type } = req.body;
     
     if (type && type !== 'all') {
-      const result = marketDataCache.clear(type);
+      const result = cacheService.clearCache(type);
       if (!result) {
         return res.status(400).json({ error: `Invalid cache type: ${type}` });
       }
     } else {
-      marketDataCache.clearAll();
+      cacheService.clearAll();
     }
     
     res.json({ success: true });
@@ -714,6 +1079,133 @@ app.post('/api/cache/clear', authenticate, (req, res) => {
   }
 });
 
+// Symbol master: loaded instrument files, listed expiries (underlying) and strikes (underlying + expiry)
+app.get('/api/symbols/master', (req, res) => {
+  try {
+    const { underlying, expiry } = req.query;
+    
+    if (expiry && !underlying) {
+      return res.status(400).json({ error: 'Underlying is required with expiry' });
+    }
+    
+    const response = { success: true, ...symbolMasterService.getStatus() };
+    if (underlying) {
+      response.expiries = symbolMasterService.getExpiries(underlying);
+    }
+    if (expiry) {
+      response.strikes = symbolMasterService.getStrikes(underlying, expiry);
+    }
+    
+    res.json(response);
+  } catch (error) {
+    console.error('Symbol master error:', error);
+    res.status(500).json({ success: false, error: error.message || 'Failed to get symbol master' });
+  }
+});
+
+// Download fresh instrument master files from Fyers and reload them
+app.post('/api/symbols/master/refresh', authenticate, async (req, res) => {
+  try {
+    const { sources } = req.body || {};
+    
+    if (sources !== undefined && (!Array.isArray(sources) || sources.length === 0)) {
+      return res.status(400).json({ error: 'sources must be a non-empty array' });
+    }
+    
+    const status = await symbolMasterService.refreshMaster(sources);
+    res.json({ success: true, ...status });
+  } catch (error) {
+    console.error('Symbol master refresh error:', error);
+    res.status(500).json({ success: false, error: error.message || 'Failed to refresh symbol master' });
+  }
+});
+
+// Trading calendar: one day's session (date), trading days, holidays and special sessions in a range (from/to),
+// or the loaded calendars and today's session when neither is given
+const MAX_CALENDAR_RANGE_DAYS = 5 * 366;
+
+app.get('/api/calendar', (req, res) => {
+  try {
+    const { exchange = tradingCalendar.DEFAULT_EXCHANGE, date, from, to } = req.query;
+    const isDateKey = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+    
+    if (!tradingCalendar.getCalendarInfo().some(calendar => calendar.exchange === exchange)) {
+      return res.status(400).json({ error: `No trading calendar for exchange: ${exchange}` });
+    }
+    
+    if (from || to) {
+      if (!isDateKey(from) || !isDateKey(to) || to < from) {
+        return res.status(400).json({ error: 'from and to must be YYYY-MM-DD dates with from <= to' });
+      }
+      if ((new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000) > MAX_CALENDAR_RANGE_DAYS) {
+        return res.status(400).json({ error: `Range cannot exceed ${MAX_CALENDAR_RANGE_DAYS} days` });
+      }
+      
+      const tradingDays = tradingCalendar.getTradingDays(from, to, exchange);
+      return res.json({
+        success: true,
+        exchange,
+        from,
+        to,
+        tradingDayCount: tradingDays.length,
+        tradingDays,
+        ...tradingCalendar.getCalendarEvents(from, to, exchange)
+      });
+    }
+    
+    if (date && !isDateKey(date)) {
+      return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+    
+    const dateKey = date || marketClock.getISTDateKey(marketClock.now());
+    res.json({
+      success: true,
+      exchange,
+      date: dateKey,
+      isTradingDay: tradingCalendar.isTradingDay(dateKey, exchange),
+      session: tradingCalendar.getSession(dateKey, exchange),
+      previousTradingDay: tradingCalendar.getPreviousTradingDay(dateKey, exchange),
+      nextTradingDay: tradingCalendar.getNextTradingDay(dateKey, exchange),
+      calendars: tradingCalendar.getCalendarInfo()
+    });
+  } catch (error) {
+    console.error('Trading calendar error:', error);
+    res.status(500).json({ success: false, error: error.message || 'Failed to get trading calendar' });
+  }
+});
+
+// Reload the calendar files in data/calendars after they are updated
+app.post('/api/calendar/reload', authenticate, (req, res) => {
+  try {
+    const calendars = tradingCalendar.loadCalendars();
+    res.json({ success: true, calendars });
+  } catch (error) {
+    console.error('Trading calendar reload error:', error);
+    res.status(400).json({ success: false, error: error.message || 'Failed to reload trading calendars' });
+  }
+});
+
+// Parse an option symbol into exchange, underlying, expiry, strike and option type
+app.get('/api/symbols/parse', (req, res) => {
+  try {
+    const { symbol } = req.query;
+    
+    if (!symbol) {
+      return res.status(400).json({ success: false, error: 'Symbol parameter is required' });
+    }
+    
+    const parsed = symbolService.parseOptionSymbol(symbol);
+    if (!parsed) {
+      return res.status(400).json({ success: false, error: `Not an option symbol: ${symbol}` });
+    }
+    
+    res.json({ success: true, symbol, ...parsed });
+  } catch (error) {
+    console.error('Symbol parse error:', error);
+    res.status(500).json({ success: false, error: error.message || 'Failed to parse symbol' });
+  }
+});
+
 // Symbol validation endpoint for testing
 app.get('/api/symbols/validate', (req, res) => {
   try {
@@ -727,14 +1219,23 @@ app.get('/api/symbols/validate', (req, res) => {
     }
     
     const isValid = liveMarketDataService.isValidSymbol(symbol);
+    const instrument = symbolMasterService.getInstrument(symbol);
+    
+    let validationPattern = 'INVALID';
+    if (isValid) {
+      if (liveMarketDataService.getIndexSymbols().includes(symbol)) {
+        validationPattern = 'KNOWN_INDEX';
+      } else {
+        validationPattern = instrument ? 'SYMBOL_MASTER' : 'REGEX_MATCH';
+      }
+    }
     
     res.json({
       success: true,
       symbol,
       isValid,
-      validationPattern: isValid ? 
-        (liveMarketDataService.VALID_INDEX_SYMBOLS.includes(symbol) ? 'KNOWN_INDEX' : 'REGEX_MATCH') : 
-        'INVALID'
+      validationPattern,
+      instrument
     });
   } catch (error) {
     console.error('Symbol validation error:', error);
@@ -748,12 +1249,7 @@ app.get('/api/symbols/validate', (req, res) => {
 // Monitoring API Routes
 app.get('/api/monitoring/status', (req, res) => {
   try {
-    // This endpoint would typically check if monitoring is active
-    // For now, we'll just return a simple status
-    res.json({ 
-      active: true, 
-      allowOptionSymbols: true
-    });
+    res.json(monitoringService.getStatus());
   } catch (error) {
     console.error('Monitoring status error:', error);
     res.status(500).json({ error: error.message || 'Failed to get monitoring status' });
@@ -762,45 +1258,45 @@ app.get('/api/monitoring/status', (req, res) => {
 
 app.get('/api/monitoring/list', (req, res) => {
   try {
-    // This would typically fetch the list of monitored symbols from the service
-    // For now, we'll return a mock list
-    res.json([
-      {
-        id: 'mock_ce_1',
-        symbol: 'NSE:NIFTY24JUN25000CE',
-        type: 'CE',
-        currentLTP: 120.5,
-        hmaValue: 115.2,
-        triggerStatus: 'WAITING',
-        lots: 1,
-        targetPoints: 50,
-        stopLossPoints: 30,
-        entryMethod: 'MARKET',
-        lastUpdate: new Date()
-      }
-    ]);
+    res.json(monitoringService.getMonitoredSymbols());
   } catch (error) {
     console.error('Monitoring list error:', error);
     res.status(500).json({ error: error.message || 'Failed to get monitoring list' });
   }
 });
 
-app.post('/api/monitoring/add', (req, res) => {
+app.post('/api/monitoring/add', authenticate, async (req, res) => {
   try {
-    const { symbol, type, lots, targetPoints, stopLossPoints, entryMethod } = req.body;
+    const { symbol, type } = req.body;
+    const userId = req.body.userId || 'default';
     
     if (!symbol || !type) {
       return res.status(400).json({ error: 'Symbol and type are required' });
     }
     
-    // This would typically add the symbol to monitoring
-    // For now, we'll just return success
-    console.log(`📊 Adding ${symbol} (${type}) to monitoring`);
+    // The loop belongs to a running replay until it finishes
+    const { replayId } = monitoringService.getStatus();
+    if (replayId) {
+      return res.status(409).json({ error: `Monitoring is running market replay ${replayId}` });
+    }
+    
+    // Exit settings default to the saved contractInputs and trading mode
+    const tradingState = await tradingStateService.loadTradingState(userId);
+    const defaults = monitoringService.getEntryDefaults(tradingState, type);
+    
+    monitoringService.setAccessToken(req.accessToken);
+    let entry;
+    try {
+      entry = monitoringService.addSymbol({ ...defaults, ...req.body });
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
     
     res.json({ 
       success: true, 
       message: `Added ${symbol} to monitoring`,
-      id: `mock_${type.toLowerCase()}_${Date.now()}`
+      id: entry.id,
+      entry
     });
   } catch (error) {
     console.error('Add to monitoring error:', error);
@@ -816,9 +1312,10 @@ app.delete('/api/monitoring/remove/:id', (req, res) => {
       return res.status(400).json({ error: 'Symbol ID is required' });
     }
     
-    // This would typically remove the symbol from monitoring
-    // For now, we'll just return success
-    console.log(`🛑 Removing symbol with ID ${id} from monitoring`);
+    const removed = monitoringService.removeSymbol(id);
+    if (!removed) {
+      return res.status(404).json({ error: `Monitored symbol not found: ${id}` });
+    }
     
     res.json({ 
       success: true, 
@@ -830,6 +1327,85 @@ app.delete('/api/monitoring/remove/:id', (req, res) => {
   }
 });
 
+// Market replay routes
+app.get('/api/replay/recordings', async (req, res) => {
+  try {
+    const recordings = await replayService.listRecordings();
+    res.json({ success: true, recordings });
+  } catch (error) {
+    console.error('Replay recordings error:', error);
+    res.status(500).json({ success: false, error: error.message || 'Failed to list replay recordings' });
+  }
+});
+
+app.get('/api/replay/status', (req, res) => {
+  try {
+    res.json(replayService.getReplayStatus());
+  } catch (error) {
+    console.error('Replay status error:', error);
+    res.status(500).json({ error: error.message || 'Failed to get replay status' });
+  }
+});
+
+app.post('/api/replay/start', authenticate, async (req, res) => {
+  try {
+    const { recording, speed, symbols } = req.body;
+    const userId = req.body.userId || 'default';
+    
+    if (!recording) {
+      return res.status(400).json({ error: 'Recording parameter is required' });
+    }
+    
+    let conflict = replayService.getStartConflict();
+    if (conflict) {
+      return res.status(409).json({ success: false, error: conflict });
+    }
+    
+    let session;
+    try {
+      session = await replayService.prepareReplay({
+        filePath: replayService.getRecordingPath(recording),
+        speed,
+        symbols,
+        userId
+      });
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+    
+    // Another start or a live entry may have taken the loop while the recording loaded; checked and
+    // claimed in the same tick, so an accepted replay always runs
+    conflict = replayService.getStartConflict();
+    if (conflict) {
+      return res.status(409).json({ success: false, error: conflict });
+    }
+    
+    replayService.executeReplay(session).catch(error => {
+      console.error('Replay error:', error);
+    });
+    
+    res.status(202).json({ success: true, id: session.id, date: session.date, speed: session.speed });
+  } catch (error) {
+    console.error('Replay start error:', error);
+    res.status(500).json({ success: false, error: error.message || 'Failed to start replay' });
+  }
+});
+
+app.post('/api/replay/stop', authenticate, (req, res) => {
+  try {
+    const stopped = replayService.stopReplay();
+    
+    if (!stopped) {
+      return res.status(404).json({ success: false, error: 'No replay is running' });
+    }
+    
+    res.json({ success: true, message: 'Replay stopping' });
+  } catch (error) {
+    console.error('Replay stop error:', error);
+    res.status(500).json({ success: false, error: error.message || 'Failed to stop replay' });
+  }
+});
+
 // Serve React app for all other routes
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '../client/dist', 'index.html'));
@@ -839,6 +1415,11 @@ app.get('*', (req, res) => {
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`API URL: http://localhost:${PORT}/api`);
+  
+  // Instrument master files already on disk back symbol validation and strike generation
+  symbolMasterService.loadMaster().catch(error => {
+    console.error('Symbol master load error:', error);
+  });
 });
 
 // Add your API routes (e.g., /api/login, /api/fyers-callback) here in the future 
\ No newline at end of file
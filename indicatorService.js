@@ -0,0 +1,332 @@
+const hmaService = require('./hmaService');
+const marketClock = require('./marketClock');
+const { RollingWMA, StreamingHMA } = require('./hmaCalculator');
+
+// Maximum number of indicator specs per request
+const MAX_INDICATORS = 10;
+
+// Longest indicator period, same cap as HMA periods (keeps the warm-up fetch bounded)
+const MAX_PERIOD = 500;
+
+/**
+ * Simple Moving Average of closes
+ */
+function calculateSMA(candles, period) {
+  const result = new Array(candles.length).fill(null);
+  let sum = 0;
+
+  for (let i = 0; i < candles.length; i++) {
+    sum += candles[i].close;
+    if (i >= period) {
+      sum -= candles[i - period].close;
+    }
+    if (i >= period - 1) {
+      result[i] = sum / period;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Exponential Moving Average of closes, seeded with the SMA of the first period
+ */
+function calculateEMA(candles, period) {
+  const result = new Array(candles.length).fill(null);
+  const multiplier = 2 / (period + 1);
+  let ema = null;
+  let seedSum = 0;
+
+  for (let i = 0; i < candles.length; i++) {
+    const close = candles[i].close;
+
+    if (i < period) {
+      seedSum += close;
+      if (i === period - 1) {
+        ema = seedSum / period;
+        result[i] = ema;
+      }
+      continue;
+    }
+
+    ema = (close - ema) * multiplier + ema;
+    result[i] = ema;
+  }
+
+  return result;
+}
+
+/**
+ * Weighted Moving Average of closes
+ */
+function calculateWMA(candles, period) {
+  const wma = new RollingWMA(period);
+  return candles.map(candle => {
+    const value = wma.push(candle.close);
+    return wma.isFull ? value : null;
+  });
+}
+
+/**
+ * Hull Moving Average of closes (same math as /api/hma-calc)
+ */
+function calculateHMA(candles, period) {
+  const hma = new StreamingHMA(period);
+  return candles.map((candle, index) => {
+    const value = hma.push(candle.close);
+    return index >= period - 1 ? value : null;
+  });
+}
+
+/**
+ * Session VWAP, reset at the start of each trading day
+ */
+function calculateVWAP(candles) {
+  let sessionKey = null;
+  let cumulativePV = 0;
+  let cumulativeVolume = 0;
+
+  return candles.map(candle => {
+    const key = marketClock.getISTDateKey(new Date(candle.timestamp * 1000));
+
+    if (key !== sessionKey) {
+      sessionKey = key;
+      cumulativePV = 0;
+      cumulativeVolume = 0;
+    }
+
+    const typicalPrice = (candle.high + candle.low + candle.close) / 3;
+    cumulativePV += typicalPrice * (candle.volume || 0);
+    cumulativeVolume += candle.volume || 0;
+
+    // Indices carry no volume
+    return cumulativeVolume > 0 ? cumulativePV / cumulativeVolume : null;
+  });
+}
+
+/**
+ * Relative Strength Index with Wilder smoothing
+ */
+function calculateRSI(candles, period) {
+  const result = new Array(candles.length).fill(null);
+  let avgGain = 0;
+  let avgLoss = 0;
+
+  for (let i = 1; i < candles.length; i++) {
+    const change = candles[i].close - candles[i - 1].close;
+    const gain = Math.max(change, 0);
+    const loss = Math.max(-change, 0);
+
+    if (i <= period) {
+      avgGain += gain / period;
+      avgLoss += loss / period;
+      if (i < period) continue;
+    } else {
+      avgGain = (avgGain * (period - 1) + gain) / period;
+      avgLoss = (avgLoss * (period - 1) + loss) / period;
+    }
+
+    result[i] = avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss);
+  }
+
+  return result;
+}
+
+/**
+ * Average True Range with Wilder smoothing
+ */
+function calculateATR(candles, period) {
+  const result = new Array(candles.length).fill(null);
+  let atr = 0;
+
+  for (let i = 0; i < candles.length; i++) {
+    const { high, low } = candles[i];
+    const trueRange = i === 0
+      ? high - low
+      : Math.max(high - low, Math.abs(high - candles[i - 1].close), Math.abs(low - candles[i - 1].close));
+
+    if (i < period) {
+      atr += trueRange / period;
+      if (i === period - 1) {
+        result[i] = atr;
+      }
+      continue;
+    }
+
+    atr = (atr * (period - 1) + trueRange) / period;
+    result[i] = atr;
+  }
+
+  return result;
+}
+
+/**
+ * SuperTrend line and direction ('UP' / 'DOWN')
+ */
+function calculateSuperTrend(candles, period, multiplier) {
+  const atr = calculateATR(candles, period);
+  const values = new Array(candles.length).fill(null);
+  const directions = new Array(candles.length).fill(null);
+
+  let finalUpper = null;
+  let finalLower = null;
+  let direction = null;
+
+  for (let i = 0; i < candles.length; i++) {
+    if (atr[i] === null) continue;
+
+    const { high, low, close } = candles[i];
+    const hl2 = (high + low) / 2;
+    const basicUpper = hl2 + multiplier * atr[i];
+    const basicLower = hl2 - multiplier * atr[i];
+    const prevClose = i > 0 ? candles[i - 1].close : close;
+
+    finalUpper = finalUpper === null || basicUpper < finalUpper || prevClose > finalUpper ? basicUpper : finalUpper;
+    finalLower = finalLower === null || basicLower > finalLower || prevClose < finalLower ? basicLower : finalLower;
+
+    if (direction === null) {
+      direction = 'DOWN';
+    } else if (direction === 'DOWN' && close > finalUpper) {
+      direction = 'UP';
+    } else if (direction === 'UP' && close < finalLower) {
+      direction = 'DOWN';
+    }
+
+    values[i] = direction === 'UP' ? finalLower : finalUpper;
+    directions[i] = direction;
+  }
+
+  return { values, directions };
+}
+
+// Indicator definitions: parameter defaults, warm-up candles and calculator
+const INDICATORS = {
+  sma: { params: [20], warmup: ([n]) => n, calculate: calculateSMA },
+  ema: { params: [20], warmup: ([n]) => 3 * n, calculate: calculateEMA },
+  wma: { params: [20], warmup: ([n]) => n, calculate: calculateWMA },
+  hma: { params: [55], warmup: ([n]) => n + Math.floor(Math.sqrt(n)), calculate: calculateHMA },
+  vwap: { params: [], warmup: () => 1, calculate: calculateVWAP },
+  rsi: { params: [14], warmup: ([n]) => 3 * n, calculate: calculateRSI },
+  atr: { params: [14], warmup: ([n]) => 3 * n, calculate: calculateATR },
+  supertrend: { params: [10, 3], warmup: ([n]) => 3 * n, calculate: calculateSuperTrend }
+};
+
+/**
+ * Parse indicator specs like "ema:21,rsi:14,supertrend:10:3"
+ */
+function parseIndicatorSpecs(specString) {
+  if (!specString) {
+    throw new Error('At least one indicator spec is required');
+  }
+
+  const specs = specString.split(',').map(part => part.trim()).filter(Boolean);
+
+  if (specs.length > MAX_INDICATORS) {
+    throw new Error(`Too many indicators: ${specs.length}. Maximum is ${MAX_INDICATORS}`);
+  }
+
+  return specs.map(spec => {
+    const [rawName, ...rawParams] = spec.split(':');
+    const name = rawName.toLowerCase();
+    const definition = INDICATORS[name];
+
+    if (!definition) {
+      throw new Error(`Unknown indicator: ${rawName}. Supported: ${Object.keys(INDICATORS).join(', ')}`);
+    }
+
+    const params = definition.params.map((defaultValue, index) => {
+      if (rawParams[index] === undefined || rawParams[index] === '') return defaultValue;
+      const value = parseFloat(rawParams[index]);
+      if (isNaN(value) || value <= 0) {
+        throw new Error(`Invalid parameter "${rawParams[index]}" for indicator ${name}`);
+      }
+      return value;
+    });
+
+    // Periods must be whole numbers up to MAX_PERIOD; the SuperTrend multiplier may be fractional
+    params.forEach((value, index) => {
+      const isMultiplier = name === 'supertrend' && index === 1;
+      if (isMultiplier) {
+        return;
+      }
+      if (!Number.isInteger(value)) {
+        throw new Error(`Period for indicator ${name} must be a whole number`);
+      }
+      if (value > MAX_PERIOD) {
+        throw new Error(`Period for indicator ${name} cannot exceed ${MAX_PERIOD}`);
+      }
+    });
+
+    return {
+      name,
+      params,
+      key: [name, ...params].join('_')
+    };
+  });
+}
+
+/**
+ * Calculate indicators on candles and return one aligned row per candle
+ */
+function calculateIndicators(candles, specs) {
+  const rows = candles.map(candle => ({
+    timestamp: candle.timestamp,
+    open: candle.open,
+    high: candle.high,
+    low: candle.low,
+    close: candle.close,
+    volume: candle.volume
+  }));
+
+  specs.forEach(spec => {
+    const output = INDICATORS[spec.name].calculate(candles, ...spec.params);
+
+    if (spec.name === 'supertrend') {
+      rows.forEach((row, index) => {
+        row[spec.key] = output.values[index];
+        row[`${spec.key}_direction`] = output.directions[index];
+      });
+    } else {
+      rows.forEach((row, index) => {
+        row[spec.key] = output[index];
+      });
+    }
+  });
+
+  return rows;
+}
+
+/**
+ * Fetch candles for a symbol and calculate the requested indicators
+ */
+async function fetchAndCalculateIndicators(symbol, resolution, specString, accessToken) {
+  const { resolution: normalizedResolution } = hmaService.normalizeHMAOptions({ resolution });
+  const specs = parseIndicatorSpecs(specString);
+
+  const warmupCandles = Math.max(...specs.map(spec => INDICATORS[spec.name].warmup(spec.params)));
+  const lookbackDays = hmaService.getTradingDaysForCandles(warmupCandles, normalizedResolution);
+
+  const candles = await hmaService.fetchTradingHoursCandles(symbol, normalizedResolution, lookbackDays, accessToken);
+
+  return {
+    symbol,
+    resolution: normalizedResolution,
+    indicators: specs.map(spec => spec.key),
+    candles: calculateIndicators(candles, specs),
+    lastUpdate: marketClock.now()
+  };
+}
+
+module.exports = {
+  calculateSMA,
+  calculateEMA,
+  calculateWMA,
+  calculateHMA,
+  calculateVWAP,
+  calculateRSI,
+  calculateATR,
+  calculateSuperTrend,
+  parseIndicatorSpecs,
+  calculateIndicators,
+  fetchAndCalculateIndicators
+};
@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+
+// Index derivatives are described in data/instruments.json, one entry per underlying:
+// { name, aliases, exchange, quoteSymbol, optionRoot, tickSize, strikeInterval,
+//   lotSizes: [{ effectiveFrom, lotSize }], expiryRules: [{ effectiveFrom, cycle, weekday, symbolFormat }] }
+// Lot sizes and expiry rules are effective-dated: each entry applies from its effectiveFrom date (YYYY-MM-DD)
+// until the next one, and the earliest entry also covers earlier dates. Exchange revisions (lot size changes,
+// expiry day moves, discontinued weeklies) are added as new entries. defaultExpiryRules cover underlyings
+// without an entry (only used to read expiries from their option symbols).
+const INSTRUMENTS_FILE = path.join(__dirname, 'data', 'instruments.json');
+
+const WEEKDAYS = ['SUNDAY', 'MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY'];
+const CYCLES = ['weekly', 'monthly'];
+
+// Option symbol expiry layouts: YYMDD (25619), YYMMMDD (25JUN19), YYMMM (25JUN)
+const SYMBOL_FORMATS = ['YYMDD', 'YYMMMDD', 'YYMMM'];
+
+const registry = {
+  version: null,
+  instruments: new Map(),
+  // Underlying key, alias or option root -> instrument
+  lookup: new Map(),
+  defaultExpiryRules: []
+};
+
+/**
+ * Validate an effective-dated list and sort it oldest first
+ */
+function parseEffectiveList(entries, owner, parseEntry) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`${owner} must be a non-empty list`);
+  }
+
+  return entries.map(entry => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(entry.effectiveFrom)) {
+      throw new Error(`Invalid effectiveFrom in ${owner}: ${entry.effectiveFrom}`);
+    }
+    return { effectiveFrom: entry.effectiveFrom, ...parseEntry(entry) };
+  }).sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+}
+
+/**
+ * Validate an expiry rule and convert its weekday name to a day number (0 = Sunday)
+ */
+function parseExpiryRule(rule, owner) {
+  const weekday = WEEKDAYS.indexOf(String(rule.weekday).toUpperCase());
+
+  if (!CYCLES.includes(rule.cycle)) {
+    throw new Error(`Invalid cycle in ${owner}: ${rule.cycle}`);
+  }
+  if (weekday < 1 || weekday > 5) {
+    throw new Error(`Invalid weekday in ${owner}: ${rule.weekday}`);
+  }
+  if (!SYMBOL_FORMATS.includes(rule.symbolFormat)) {
+    throw new Error(`Invalid symbolFormat in ${owner}: ${rule.symbolFormat}`);
+  }
+
+  return { cycle: rule.cycle, weekday, symbolFormat: rule.symbolFormat };
+}
+
+/**
+ * Validate an instrument entry
+ */
+function parseInstrument(key, data) {
+  const required = ['name', 'exchange', 'quoteSymbol', 'optionRoot'];
+  const missing = required.filter(field => !data[field]);
+  if (missing.length > 0) {
+    throw new Error(`Instrument ${key} is missing ${missing.join(', ')}`);
+  }
+  if (!(data.tickSize > 0) || !(data.strikeInterval > 0)) {
+    throw new Error(`Instrument ${key} needs a positive tickSize and strikeInterval`);
+  }
+
+  return {
+    key,
+    name: data.name,
+    aliases: data.aliases || [],
+    exchange: data.exchange,
+    quoteSymbol: data.quoteSymbol,
+    optionRoot: data.optionRoot,
+    tickSize: data.tickSize,
+    strikeInterval: data.strikeInterval,
+    lotSizes: parseEffectiveList(data.lotSizes, `${key} lotSizes`, entry => {
+      if (!Number.isInteger(entry.lotSize) || entry.lotSize <= 0) {
+        throw new Error(`Invalid lotSize in ${key} lotSizes: ${entry.lotSize}`);
+      }
+      return { lotSize: entry.lotSize };
+    }),
+    expiryRules: parseEffectiveList(data.expiryRules, `${key} expiryRules`, rule => parseExpiryRule(rule, `${key} expiryRules`))
+  };
+}
+
+/**
+ * Load the registry file (read synchronously so symbol helpers can stay synchronous).
+ * An invalid file is rejected and the previously loaded instruments are kept.
+ */
+function loadInstruments() {
+  const data = JSON.parse(fs.readFileSync(INSTRUMENTS_FILE, 'utf8'));
+
+  const instruments = new Map();
+  const lookup = new Map();
+  Object.entries(data.instruments || {}).forEach(([key, entry]) => {
+    const instrument = parseInstrument(key, entry);
+    instruments.set(key, instrument);
+
+    [key, ...instrument.aliases, instrument.optionRoot].forEach(name => {
+      const existing = lookup.get(name);
+      if (existing && existing !== instrument) {
+        throw new Error(`${name} is used by both ${existing.key} and ${key}`);
+      }
+      lookup.set(name, instrument);
+    });
+  });
+  const defaultExpiryRules = parseEffectiveList(data.defaultExpiryRules, 'defaultExpiryRules',
+    rule => parseExpiryRule(rule, 'defaultExpiryRules'));
+
+  registry.version = data.version || null;
+  registry.instruments = instruments;
+  registry.lookup = lookup;
+  registry.defaultExpiryRules = defaultExpiryRules;
+
+  return getRegistryInfo();
+}
+
+/**
+ * Entry of an effective-dated list in effect on a date (YYYY-MM-DD)
+ */
+function getEffectiveEntry(entries, dateKey) {
+  let current = entries[0];
+  for (const entry of entries) {
+    if (entry.effectiveFrom <= dateKey) {
+      current = entry;
+    }
+  }
+  return current;
+}
+
+/**
+ * Instrument by underlying key, alias or option root (null if unknown)
+ */
+function getInstrument(name) {
+  return registry.lookup.get(String(name || '').toUpperCase()) || null;
+}
+
+/**
+ * All instruments in registry order
+ */
+function getInstruments() {
+  return Array.from(registry.instruments.values());
+}
+
+/**
+ * Lot size of an instrument on a date (YYYY-MM-DD)
+ */
+function getLotSize(instrument, dateKey) {
+  return getEffectiveEntry(instrument.lotSizes, dateKey).lotSize;
+}
+
+/**
+ * Expiry rules of an underlying, oldest first (the default rules for underlyings not in the registry)
+ */
+function getExpiryRules(name) {
+  const instrument = getInstrument(name);
+  return instrument ? instrument.expiryRules : registry.defaultExpiryRules;
+}
+
+/**
+ * Expiry rule in effect for an underlying on a date (YYYY-MM-DD)
+ */
+function getExpiryRuleForDate(name, dateKey) {
+  return getEffectiveEntry(getExpiryRules(name), dateKey);
+}
+
+/**
+ * Expiry rules with weekday names, for display
+ */
+function describeExpiryRules(rules) {
+  return rules.map(rule => ({ ...rule, weekday: WEEKDAYS[rule.weekday] }));
+}
+
+/**
+ * Loaded registry version and instrument keys
+ */
+function getRegistryInfo() {
+  return {
+    version: registry.version,
+    instruments: Array.from(registry.instruments.keys())
+  };
+}
+
+try {
+  loadInstruments();
+} catch (error) {
+  console.error('Error loading instrument registry:', error.message);
+}
+
+module.exports = {
+  SYMBOL_FORMATS,
+  loadInstruments,
+  getInstrument,
+  getInstruments,
+  getLotSize,
+  getExpiryRules,
+  getExpiryRuleForDate,
+  describeExpiryRules,
+  getRegistryInfo
+};
@@ -1,34 +1,64 @@
 const axios = require('axios');
 const config = require('./config');
+const instrumentRegistry = require('./instrumentRegistry');
+const symbolMasterService = require('./symbolMasterService');
 
-// Valid index symbols that are always allowed
-const VALID_INDEX_SYMBOLS = [
-  'NSE:NIFTY50-INDEX',
-  'NSE:NIFTYBANK-INDEX',
-  'BSE:SENSEX-INDEX'
-];
-
-// Symbol validation regex
+// Symbol validation regex, used for exchanges without a loaded symbol master
 const VALID_SYMBOL_REGEX = {
   INDEX: /^(NSE|BSE):[A-Z0-9]+-INDEX$/,
-  OPTION: /^(NSE|BSE):[A-Z0-9]+[0-9]{2}[A-Z]{3}[0-9]{2}[0-9]+(?:CE|PE)$/
+  OPTION: /^(NSE|BSE):[A-Z0-9]+[0-9]{2}[A-Z]{3}[0-9]{2}[0-9]+(?:CE|PE)$/,
+  // Fyers weekly contracts: YY + month (1-9, O, N, D) + DD + strike + type
+  WEEKLY_OPTION: /^(NSE|BSE):[A-Z]+[0-9]{2}[1-9OND][0-9]{2}[0-9]+(?:CE|PE)$/,
+  // symbolService.createOptionSymbol output: YYMDD, YYMMMDD or YYMMM, then type and strike
+  GENERATED_OPTION: /^(NSE|BSE):[A-Z]+[0-9]{2}(?:[0-9]{3,4}|[A-Z]{3}(?:[0-9]{2})?)(?:CE|PE)[0-9]+$/
 };
 
 /**
- * Validate if a symbol is properly formatted
+ * Validate a symbol: indices by format, derivatives against the symbol master when one is
+ * loaded for the exchange (so nonexistent strikes are rejected), otherwise by format
  */
 function isValidSymbol(symbol) {
-  if (VALID_INDEX_SYMBOLS.includes(symbol)) {
+  if (getIndexSymbols().includes(symbol) || VALID_SYMBOL_REGEX.INDEX.test(symbol)) {
     return true;
   }
   
+  if (symbolMasterService.coversExchange(String(symbol).split(':')[0])) {
+    return symbolMasterService.getInstrument(symbol) !== null;
+  }
+  
   return Object.values(VALID_SYMBOL_REGEX).some(regex => regex.test(symbol));
 }
 
+/**
+ * Raw quote entries ({ n, v: { lp, open_price, ... } }) from the Fyers quotes API, or from a
+ * quoteSource ({ fetchQuotes(symbols) } returning the same shape, e.g. a market replay) instead
+ */
+async function requestQuotes(symbols, accessToken, quoteSource = null) {
+  if (quoteSource) {
+    return await quoteSource.fetchQuotes(symbols);
+  }
+  
+  // Use the updated Fyers API v3 endpoint for quotes
+  const response = await axios.get('https://api-t1.fyers.in/data/quotes', {
+    params: {
+      symbols: symbols.join(',')
+    },
+    headers: {
+      'Authorization': accessToken
+    }
+  });
+  
+  if (response.data && response.data.s === 'ok' && response.data.d) {
+    // The API returns an array in the 'd' property
+    return response.data.d;
+  }
+  throw new Error(response.data?.message || 'Failed to fetch market data');
+}
+
 /**
  * Fetch market data for a given symbol
  */
-async function fetchMarketData(symbol, accessToken) {
+async function fetchMarketData(symbol, accessToken, quoteSource = null) {
   try {
     if (!isValidSymbol(symbol)) {
       throw new Error(`Invalid symbol format: ${symbol}`);
@@ -36,52 +66,36 @@ async function fetchMarketData(symbol, accessToken) {
     
     console.log(`📊 Fetching market data for ${symbol}`);
     
-    // Use the updated Fyers API v3 endpoint for quotes
-    const response = await axios.get('https://api-t1.fyers.in/data/quotes', {
-      params: {
-        symbols: symbol
-      },
-      headers: {
-        'Authorization': accessToken
-      }
-    });
+    const quoteData = (await requestQuotes([symbol], accessToken, quoteSource))[0];
     
-    if (response.data && response.data.s === 'ok' && response.data.d) {
-      // Process the response data to match our expected format
-      // The API returns an array in the 'd' property
-      const quoteData = response.data.d[0];
-      
-      if (!quoteData || !quoteData.v) {
-        console.warn(`No quote data found for ${symbol}`);
-        return {
-          symbol: symbol,
-          ltp: 0,
-          open: 0,
-          high: 0,
-          low: 0,
-          close: 0,
-          volume: 0,
-          change: 0,
-          changePercent: 0,
-          timestamp: new Date()
-        };
-      }
-      
+    if (!quoteData || !quoteData.v) {
+      console.warn(`No quote data found for ${symbol}`);
       return {
-        symbol: quoteData.n || symbol,
-        ltp: quoteData.v.lp || 0,
-        open: quoteData.v.open_price || 0,
-        high: quoteData.v.high_price || 0,
-        low: quoteData.v.low_price || 0,
-        close: quoteData.v.prev_close_price || 0,
-        volume: quoteData.v.volume || 0,
-        change: quoteData.v.ch || 0,
-        changePercent: quoteData.v.chp || 0,
-        timestamp: new Date((quoteData.v.tt || Date.now() / 1000) * 1000)
+        symbol: symbol,
+        ltp: 0,
+        open: 0,
+        high: 0,
+        low: 0,
+        close: 0,
+        volume: 0,
+        change: 0,
+        changePercent: 0,
+        timestamp: new Date()
       };
-    } else {
-      throw new Error(response.data?.message || 'Failed to fetch market data');
     }
+    
+    return {
+      symbol: quoteData.n || symbol,
+      ltp: quoteData.v.lp || 0,
+      open: quoteData.v.open_price || 0,
+      high: quoteData.v.high_price || 0,
+      low: quoteData.v.low_price || 0,
+      close: quoteData.v.prev_close_price || 0,
+      volume: quoteData.v.volume || 0,
+      change: quoteData.v.ch || 0,
+      changePercent: quoteData.v.chp || 0,
+      timestamp: new Date((quoteData.v.tt || Date.now() / 1000) * 1000)
+    };
   } catch (error) {
     console.error(`Error fetching market data for ${symbol}:`, error.message);
     throw error;
@@ -91,7 +105,7 @@ async function fetchMarketData(symbol, accessToken) {
 /**
  * Fetch market data for multiple symbols
  */
-async function fetchMultipleMarketData(symbols, accessToken) {
+async function fetchMultipleMarketData(symbols, accessToken, quoteSource = null) {
   try {
     // Validate all symbols
     const invalidSymbols = symbols.filter(symbol => !isValidSymbol(symbol));
@@ -101,67 +115,54 @@ async function fetchMultipleMarketData(symbols, accessToken) {
     
     console.log(`📊 Fetching market data for ${symbols.length} symbols`);
     
-    // Use the updated Fyers API v3 endpoint for quotes
-    const response = await axios.get('https://api-t1.fyers.in/data/quotes', {
-      params: {
-        symbols: symbols.join(',')
-      },
-      headers: {
-        'Authorization': accessToken
+    const quotes = await requestQuotes(symbols, accessToken, quoteSource);
+    
+    // Process each entry to match our expected format
+    const result = [];
+    
+    // Create a map for quick lookup
+    const quoteMap = {};
+    quotes.forEach(quote => {
+      if (quote && quote.v) {
+        quoteMap[quote.n] = quote;
       }
     });
     
-    if (response.data && response.data.s === 'ok' && response.data.d) {
-      // Process the response data to match our expected format
-      // The API returns an array in the 'd' property
-      const result = [];
-      
-      // Create a map for quick lookup
-      const quoteMap = {};
-      response.data.d.forEach(quote => {
-        if (quote && quote.v) {
-          quoteMap[quote.n] = quote;
-        }
-      });
+    // Process each symbol in the original order
+    for (const symbol of symbols) {
+      const quote = quoteMap[symbol];
       
-      // Process each symbol in the original order
-      for (const symbol of symbols) {
-        const quote = quoteMap[symbol];
-        
-        if (quote && quote.v) {
-          result.push({
-            symbol: quote.n || symbol,
-            ltp: quote.v.lp || 0,
-            open: quote.v.open_price || 0,
-            high: quote.v.high_price || 0,
-            low: quote.v.low_price || 0,
-            close: quote.v.prev_close_price || 0,
-            volume: quote.v.volume || 0,
-            change: quote.v.ch || 0,
-            changePercent: quote.v.chp || 0,
-            timestamp: new Date((quote.v.tt || Date.now() / 1000) * 1000)
-          });
-        } else {
-          console.warn(`No quote data found for ${symbol}`);
-          result.push({
-            symbol: symbol,
-            ltp: 0,
-            open: 0,
-            high: 0,
-            low: 0,
-            close: 0,
-            volume: 0,
-            change: 0,
-            changePercent: 0,
-            timestamp: new Date()
-          });
-        }
+      if (quote && quote.v) {
+        result.push({
+          symbol: quote.n || symbol,
+          ltp: quote.v.lp || 0,
+          open: quote.v.open_price || 0,
+          high: quote.v.high_price || 0,
+          low: quote.v.low_price || 0,
+          close: quote.v.prev_close_price || 0,
+          volume: quote.v.volume || 0,
+          change: quote.v.ch || 0,
+          changePercent: quote.v.chp || 0,
+          timestamp: new Date((quote.v.tt || Date.now() / 1000) * 1000)
+        });
+      } else {
+        console.warn(`No quote data found for ${symbol}`);
+        result.push({
+          symbol: symbol,
+          ltp: 0,
+          open: 0,
+          high: 0,
+          low: 0,
+          close: 0,
+          volume: 0,
+          change: 0,
+          changePercent: 0,
+          timestamp: new Date()
+        });
       }
-      
-      return result;
-    } else {
-      throw new Error(response.data?.message || 'Failed to fetch market data');
     }
+    
+    return result;
   } catch (error) {
     console.error(`Error fetching market data for multiple symbols:`, error.message);
     throw error;
@@ -210,17 +211,60 @@ async function getMarketDepth(symbol, accessToken) {
 }
 
 /**
- * Get index symbols for market data
+ * Get market depth for several symbols in one call (keyed by symbol)
+ */
+async function getMultipleMarketDepth(symbols, accessToken) {
+  try {
+    if (!accessToken) {
+      throw new Error('No valid authentication token found');
+    }
+    
+    const invalidSymbols = symbols.filter(symbol => !isValidSymbol(symbol));
+    if (invalidSymbols.length > 0) {
+      throw new Error(`Invalid symbol format for: ${invalidSymbols.join(', ')}`);
+    }
+    
+    console.log(`📊 Fetching market depth for ${symbols.length} symbols`);
+    
+    const [appId, token] = accessToken.split(':');
+    
+    if (!appId || !token) {
+      throw new Error('Invalid access token format - expected appId:token');
+    }
+    
+    const response = await axios.get('https://api-t1.fyers.in/data-rest/v2/depth', {
+      params: {
+        symbol: symbols.join(','),
+        ohlcv_flag: 1
+      },
+      headers: {
+        'Authorization': `${appId}:${token}`
+      }
+    });
+    
+    if (response.data.s !== 'ok' || !response.data.d) {
+      throw new Error(`Market depth API error: ${response.data.message || 'Unknown error'}`);
+    }
+    
+    return response.data.d;
+  } catch (error) {
+    console.error(`❌ Error fetching market depth for multiple symbols:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get index symbols for market data (quote symbols of the instrument registry)
  */
 function getIndexSymbols() {
-  return VALID_INDEX_SYMBOLS;
+  return instrumentRegistry.getInstruments().map(instrument => instrument.quoteSymbol);
 }
 
 module.exports = {
   fetchMarketData,
   fetchMultipleMarketData,
   getMarketDepth,
+  getMultipleMarketDepth,
   getIndexSymbols,
-  isValidSymbol,
-  VALID_INDEX_SYMBOLS
+  isValidSymbol
 };
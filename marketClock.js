@@ -0,0 +1,148 @@
+// Market clock for NSE/BSE (Asia/Kolkata)
+// All market-time decisions go through here so results don't depend on the server timezone
+const { AsyncLocalStorage } = require('async_hooks');
+
+// IST is UTC+5:30 with no daylight saving
+const IST_OFFSET_MINUTES = 330;
+const IST_OFFSET_MS = IST_OFFSET_MINUTES * 60 * 1000;
+
+// Regular session
+const MARKET_OPEN_MINUTES = 555; // 9:15 AM
+const MARKET_CLOSE_MINUTES = 930; // 3:30 PM
+
+// Clock of a market replay, scoped to the replay's own calls so requests served meanwhile keep the wall clock
+const clockScope = new AsyncLocalStorage();
+
+// Replaces the wall clock for the whole process (scripts and tests)
+let clockOverride = null;
+
+/**
+ * Current time (replay time when a replay clock is set)
+ */
+function now() {
+  const clock = clockScope.getStore() || clockOverride;
+  return clock ? new Date(clock()) : new Date();
+}
+
+/**
+ * Drive now() from a function returning the current replay time
+ */
+function setClock(clock) {
+  clockOverride = clock;
+}
+
+/**
+ * Run fn with now() driven by a function returning the replay time, for fn and everything it calls
+ */
+function runWithClock(clock, fn) {
+  return clockScope.run(clock, fn);
+}
+
+/**
+ * Restore the wall clock
+ */
+function resetClock() {
+  clockOverride = null;
+}
+
+/**
+ * Whether now() is driven by a replay clock
+ */
+function isClockOverridden() {
+  return clockOverride !== null || clockScope.getStore() !== undefined;
+}
+
+/**
+ * Break a date into its IST calendar and clock parts
+ */
+function getISTParts(date = now()) {
+  const shifted = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  const hours = shifted.getUTCHours();
+  const minutes = shifted.getUTCMinutes();
+
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth(), // 0-based like Date#getMonth
+    day: shifted.getUTCDate(),
+    dayOfWeek: shifted.getUTCDay(),
+    hours,
+    minutes,
+    seconds: shifted.getUTCSeconds(),
+    minutesOfDay: hours * 60 + minutes
+  };
+}
+
+/**
+ * Minutes since IST midnight
+ */
+function getISTMinutesOfDay(date = now()) {
+  return getISTParts(date).minutesOfDay;
+}
+
+/**
+ * IST calendar date as YYYY-MM-DD
+ */
+function getISTDateKey(date = now()) {
+  const { year, month, day } = getISTParts(date);
+  return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * IST date and time as YYYY-MM-DD HH:MM:SS
+ */
+function formatISTDateTime(date = now()) {
+  const { hours, minutes, seconds } = getISTParts(date);
+  const time = [hours, minutes, seconds].map(value => String(value).padStart(2, '0')).join(':');
+  return `${getISTDateKey(date)} ${time}`;
+}
+
+/**
+ * Whether two instants fall on the same IST calendar day
+ */
+function isSameISTDay(a, b) {
+  return getISTDateKey(a) === getISTDateKey(b);
+}
+
+/**
+ * Build the instant for an IST wall-clock time (month is 0-based)
+ */
+function fromISTDateTime(year, month, day, hours = 0, minutes = 0, seconds = 0) {
+  return new Date(Date.UTC(year, month, day, hours, minutes, seconds) - IST_OFFSET_MS);
+}
+
+/**
+ * Local-midnight Date carrying the IST calendar date of an instant.
+ * Use for pure calendar arithmetic (getDay/setDate) that must follow the IST date.
+ */
+function toISTCalendarDate(date = now()) {
+  const { year, month, day } = getISTParts(date);
+  return new Date(year, month, day);
+}
+
+/**
+ * Whether the regular session is open at an instant (weekday and time only)
+ */
+function isWithinMarketHours(date = now()) {
+  const { dayOfWeek, minutesOfDay } = getISTParts(date);
+  return dayOfWeek !== 0 && dayOfWeek !== 6 &&
+    minutesOfDay >= MARKET_OPEN_MINUTES && minutesOfDay < MARKET_CLOSE_MINUTES;
+}
+
+module.exports = {
+  IST_OFFSET_MINUTES,
+  MARKET_OPEN_MINUTES,
+  MARKET_CLOSE_MINUTES,
+  now,
+  setClock,
+  runWithClock,
+  resetClock,
+  isClockOverridden,
+  getISTParts,
+  getISTMinutesOfDay,
+  getISTDateKey,
+  formatISTDateTime,
+  isSameISTDay,
+  fromISTDateTime,
+  toISTCalendarDate,
+  isWithinMarketHours
+};
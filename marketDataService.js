@@ -1,10 +1,39 @@
 // Backend MarketDataService for Victor
 // Handles fetching historical data from Fyers API
 const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+const candleStore = require('./candleStore');
+const config = require('./config');
+const marketClock = require('./marketClock');
+const resampler = require('./resampler');
+const tradingCalendar = require('./tradingCalendar');
+
+// Most days of history Fyers returns in one /data/history call
+const MAX_DAYS_PER_REQUEST = {
+  intraday: 100,
+  daily: 366
+};
+
+// Windows fetched in parallel for one long range
+const MAX_CONCURRENT_WINDOWS = 3;
 
 class MarketDataService {
-  static async getHistoricalData({ symbol, resolution, rangeFrom, rangeTo, accessToken }) {
+  static async getHistoricalData({ symbol, resolution, rangeFrom, rangeTo, accessToken, resample = false }) {
     try {
+      // Non-native minute resolutions (and forced resampling) are built from 1-minute candles aligned to 9:15
+      if (resample || resampler.needsResampling(resolution)) {
+        const source = await MarketDataService.getHistoricalData({ symbol, resolution: '1', rangeFrom, rangeTo, accessToken });
+        const candles = resampler.resampleCandles(source.candles, resolution);
+        const lastCandle = candles[candles.length - 1];
+        
+        return {
+          ...source,
+          resolution,
+          candles,
+          resampledFrom: '1',
+          lastCandlePartial: lastCandle ? resampler.isBarPartial(lastCandle[0], parseInt(resolution, 10)) : false
+        };
+      }
+      
       // Extract appId from accessToken (format is "appId:token")
       const [appId, token] = accessToken.split(':');
       
@@ -25,38 +54,27 @@ class MarketDataService {
         formattedRangeTo = MarketDataService.formatDate(new Date(rangeTo * 1000));
       }
       
-      // Build Fyers API URL
-      const params = new URLSearchParams({
-        symbol,
-        resolution,
-        date_format: '1',
-        cont_flag: '1',
-      });
-      if (formattedRangeFrom) params.append('range_from', formattedRangeFrom);
-      if (formattedRangeTo) params.append('range_to', formattedRangeTo);
-      
-      // Use the updated Fyers API v3 endpoint for historical data
-      const url = `https://api-t1.fyers.in/data/history?${params.toString()}`;
-      
-      console.log(`📊 Fetching historical data for ${symbol} from ${url}`);
-      
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'Authorization': accessToken
-        }
-      });
+      const fromKey = MarketDataService.toDateKey(formattedRangeFrom);
+      const toKey = MarketDataService.toDateKey(formattedRangeTo);
       
-      const data = await response.json();
+      // Long ranges are split into broker-sized windows
+      const fetchRange = (from, to) => MarketDataService.fetchRangeFromFyers({ symbol, resolution, rangeFrom: from, rangeTo: to, accessToken });
       
-      if (data.s !== 'ok') {
-        throw new Error(`Historical data API error: ${data.message || 'Unknown error'}`);
+      // Date ranges are served from the local candle store, fetching only what it lacks
+      let candles;
+      if (fromKey && toKey) {
+        candles = config.candleStore.enabled
+          ? await candleStore.getCandles(symbol, resolution, fromKey, toKey, fetchRange)
+          : await fetchRange(fromKey, toKey);
+      } else {
+        candles = await MarketDataService.fetchFromFyers({ symbol, resolution, rangeFrom: formattedRangeFrom, rangeTo: formattedRangeTo, accessToken });
       }
       
       return {
         symbol,
         resolution,
-        candles: data.candles || [],
+        candles,
+        gaps: fromKey && toKey ? MarketDataService.findGaps(candles, fromKey, toKey, symbol) : [],
         timeFrom: formattedRangeFrom,
         timeTo: formattedRangeTo
       };
@@ -66,12 +84,132 @@ class MarketDataService {
     }
   }
   
-  // Helper function to format date as YYYY-MM-DD
+  // Fetch raw candles from the Fyers history API
+  static async fetchFromFyers({ symbol, resolution, rangeFrom, rangeTo, accessToken }) {
+    // Build Fyers API URL
+    const params = new URLSearchParams({
+      symbol,
+      resolution,
+      date_format: '1',
+      cont_flag: '1',
+    });
+    if (rangeFrom) params.append('range_from', rangeFrom);
+    if (rangeTo) params.append('range_to', rangeTo);
+    
+    // Use the updated Fyers API v3 endpoint for historical data
+    const url = `https://api-t1.fyers.in/data/history?${params.toString()}`;
+    
+    console.log(`📊 Fetching historical data for ${symbol} from ${url}`);
+    
+    const response = await fetch(url, {
+      method: 'GET',
+      headers: {
+        'Authorization': accessToken
+      }
+    });
+    
+    const data = await response.json();
+    
+    if (data.s === 'no_data') {
+      return [];
+    }
+    
+    if (data.s !== 'ok') {
+      throw new Error(`Historical data API error: ${data.message || 'Unknown error'}`);
+    }
+    
+    return data.candles || [];
+  }
+  
+  // Fetch raw candles for an inclusive YYYY-MM-DD range, one window at a time up to the broker limit,
+  // then merge them (de-duplicated by timestamp, sorted). Fails if any window fails.
+  static async fetchRangeFromFyers({ symbol, resolution, rangeFrom, rangeTo, accessToken }) {
+    const windows = MarketDataService.splitDateRange(rangeFrom, rangeTo, MarketDataService.getMaxDaysPerRequest(resolution));
+    
+    if (windows.length > 1) {
+      console.log(`📊 Splitting ${symbol} (${resolution}) history ${rangeFrom} to ${rangeTo} into ${windows.length} requests`);
+    }
+    
+    const results = new Array(windows.length);
+    let nextWindow = 0;
+    const worker = async () => {
+      while (nextWindow < windows.length) {
+        const index = nextWindow++;
+        const [from, to] = windows[index];
+        results[index] = await MarketDataService.fetchFromFyers({ symbol, resolution, rangeFrom: from, rangeTo: to, accessToken });
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(MAX_CONCURRENT_WINDOWS, windows.length) }, worker));
+    
+    const byTimestamp = new Map();
+    results.forEach(candles => candles.forEach(candle => byTimestamp.set(candle[0], candle)));
+    return Array.from(byTimestamp.values()).sort((a, b) => a[0] - b[0]);
+  }
+  
+  // Days of history one request may cover for a resolution
+  static getMaxDaysPerRequest(resolution) {
+    return ['D', '1D'].includes(String(resolution).toUpperCase())
+      ? MAX_DAYS_PER_REQUEST.daily
+      : MAX_DAYS_PER_REQUEST.intraday;
+  }
+  
+  // Split an inclusive YYYY-MM-DD range into consecutive windows of at most maxDays days
+  static splitDateRange(fromKey, toKey, maxDays) {
+    const windows = [];
+    let windowStart = fromKey;
+    
+    while (windowStart <= toKey) {
+      const windowEnd = MarketDataService.shiftDateKey(windowStart, maxDays - 1);
+      windows.push([windowStart, windowEnd < toKey ? windowEnd : toKey]);
+      windowStart = MarketDataService.shiftDateKey(windowEnd, 1);
+    }
+    
+    return windows;
+  }
+  
+  // Runs of trading days on the symbol's exchange in the range (up to the last closed session) with no candles
+  static findGaps(candles, fromKey, toKey, symbol) {
+    const exchange = tradingCalendar.getExchangeForSymbol(symbol);
+    const datesWithCandles = new Set(candles.map(candle => marketClock.getISTDateKey(new Date(candle[0] * 1000))));
+    const lastCompleteKey = candleStore.getLastCompleteDateKey();
+    const lastKey = toKey < lastCompleteKey ? toKey : lastCompleteKey;
+    const gaps = [];
+    let currentGap = null;
+    
+    for (let dateKey = fromKey; dateKey <= lastKey; dateKey = MarketDataService.shiftDateKey(dateKey, 1)) {
+      if (!tradingCalendar.isTradingDay(dateKey, exchange)) {
+        continue;
+      }
+      
+      if (datesWithCandles.has(dateKey)) {
+        currentGap = null;
+      } else if (currentGap) {
+        currentGap.to = dateKey;
+        currentGap.days++;
+      } else {
+        currentGap = { from: dateKey, to: dateKey, days: 1 };
+        gaps.push(currentGap);
+      }
+    }
+    
+    return gaps;
+  }
+  
+  // Helper function to shift a YYYY-MM-DD key by a number of days
+  static shiftDateKey(dateKey, days) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+  }
+  
+  // Helper function to read the YYYY-MM-DD part of a date string (null if it has none)
+  static toDateKey(value) {
+    const match = /^(\d{4}-\d{2}-\d{2})/.exec(value || '');
+    return match ? match[1] : null;
+  }
+  
+  // Helper function to format date as YYYY-MM-DD (IST calendar date)
   static formatDate(date) {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
+    return marketClock.getISTDateKey(date);
   }
 }
 
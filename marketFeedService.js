@@ -0,0 +1,304 @@
+const config = require('./config');
+const feedConnectors = require('./feedConnectors');
+
+// Reconnect backoff
+const INITIAL_RECONNECT_DELAY_MS = 1000;
+const MAX_RECONNECT_DELAY_MS = 30 * 1000;
+
+// Ticks older than this are not used in place of REST quotes
+const DEFAULT_MAX_TICK_AGE_MS = 10 * 1000;
+
+// Listeners per symbol; the socket stays subscribed while a symbol has any
+const listenersBySymbol = new Map();
+
+// Latest normalized tick per symbol
+const latestTicks = new Map();
+
+// Connection state
+const feedState = {
+  connector: null,
+  accessToken: null,
+  status: 'DISCONNECTED', // DISCONNECTED | CONNECTING | CONNECTED | RECONNECTING
+  reconnectAttempts: 0,
+  reconnectTimer: null,
+  connectedAt: null,
+  lastTickAt: null,
+  lastError: null,
+  tickCount: 0
+};
+
+/**
+ * Default connector: a plain WebSocket feed when MARKET_FEED_URL is set, otherwise the Fyers data socket
+ */
+function defaultConnectorFactory(accessToken) {
+  return config.marketFeed.url
+    ? feedConnectors.createWebSocketConnector(config.marketFeed.url)
+    : feedConnectors.createFyersConnector(accessToken);
+}
+
+let connectorFactory = defaultConnectorFactory;
+
+/**
+ * Replace the connector factory (null restores the default), e.g. to use a fake feed
+ */
+function setConnectorFactory(factory) {
+  connectorFactory = factory || defaultConnectorFactory;
+}
+
+/**
+ * Convert a raw Fyers data socket message to our quote format
+ */
+function normalizeTick(message) {
+  const tradedAt = message.last_traded_time || message.exch_feed_time;
+
+  return {
+    symbol: message.symbol,
+    ltp: message.ltp || 0,
+    open: message.open_price || 0,
+    high: message.high_price || 0,
+    low: message.low_price || 0,
+    close: message.prev_close_price || 0,
+    volume: message.vol_traded_today || 0,
+    change: message.ch || 0,
+    changePercent: message.chp || 0,
+    timestamp: tradedAt ? new Date(tradedAt * 1000) : new Date(),
+    receivedAt: new Date()
+  };
+}
+
+/**
+ * Symbols with at least one listener
+ */
+function getSubscribedSymbols() {
+  return Array.from(listenersBySymbol.keys());
+}
+
+/**
+ * Deliver a tick to every listener of its symbol
+ */
+function handleTick(message) {
+  const tick = normalizeTick(message);
+  latestTicks.set(tick.symbol, tick);
+  feedState.lastTickAt = tick.receivedAt;
+  feedState.tickCount++;
+
+  const listeners = listenersBySymbol.get(tick.symbol);
+  if (!listeners) {
+    return;
+  }
+
+  listeners.forEach(listener => {
+    try {
+      listener(tick);
+    } catch (error) {
+      console.error(`❌ Market feed listener error for ${tick.symbol}:`, error.message);
+    }
+  });
+}
+
+/**
+ * Schedule a reconnect with exponential backoff and jitter
+ */
+function scheduleReconnect() {
+  if (feedState.reconnectTimer || listenersBySymbol.size === 0) {
+    return;
+  }
+
+  const baseDelay = Math.min(INITIAL_RECONNECT_DELAY_MS * 2 ** feedState.reconnectAttempts, MAX_RECONNECT_DELAY_MS);
+  const delay = Math.round(baseDelay * (0.8 + Math.random() * 0.4));
+  feedState.reconnectAttempts++;
+  feedState.status = 'RECONNECTING';
+
+  console.log(`🔄 Market feed reconnecting in ${delay}ms (attempt ${feedState.reconnectAttempts})`);
+  feedState.reconnectTimer = setTimeout(() => {
+    feedState.reconnectTimer = null;
+    openConnection();
+  }, delay);
+}
+
+/**
+ * Open the single feed connection (reusing the connector across reconnects)
+ */
+function openConnection() {
+  if (!feedState.connector) {
+    const connector = connectorFactory(feedState.accessToken);
+
+    connector.on('open', () => {
+      feedState.status = 'CONNECTED';
+      feedState.connectedAt = new Date();
+      feedState.reconnectAttempts = 0;
+      feedState.lastError = null;
+
+      const symbols = getSubscribedSymbols();
+      console.log(`🟢 Market feed connected, subscribing ${symbols.length} symbols`);
+      if (symbols.length > 0) {
+        connector.subscribe(symbols);
+      }
+    });
+    connector.on('tick', handleTick);
+    connector.on('error', error => {
+      feedState.lastError = error.message;
+      console.error('❌ Market feed error:', error.message);
+    });
+    connector.on('close', () => {
+      // Closed by us when the last listener left
+      if (feedState.connector !== connector || feedState.status === 'DISCONNECTED') {
+        return;
+      }
+      console.warn('⚠️ Market feed connection closed');
+      scheduleReconnect();
+    });
+
+    feedState.connector = connector;
+  }
+
+  feedState.status = feedState.reconnectAttempts > 0 ? 'RECONNECTING' : 'CONNECTING';
+
+  try {
+    feedState.connector.connect();
+  } catch (error) {
+    feedState.lastError = error.message;
+    console.error('❌ Market feed connect failed:', error.message);
+    scheduleReconnect();
+  }
+}
+
+/**
+ * Close the feed connection and cancel pending reconnects
+ */
+function closeConnection() {
+  if (feedState.reconnectTimer) {
+    clearTimeout(feedState.reconnectTimer);
+    feedState.reconnectTimer = null;
+  }
+
+  const connector = feedState.connector;
+  feedState.status = 'DISCONNECTED';
+  feedState.connector = null;
+  feedState.connectedAt = null;
+  feedState.reconnectAttempts = 0;
+
+  if (connector) {
+    connector.removeAllListeners('tick');
+    try {
+      connector.close();
+    } catch (error) {
+      console.error('❌ Market feed close failed:', error.message);
+    }
+    console.log('⏹️ Market feed disconnected');
+  }
+}
+
+/**
+ * Set the access token used by the feed (reconnects if it changed). Only called from the login
+ * and monitoring paths; stream clients just subscribe to the shared connection.
+ */
+function setAccessToken(accessToken) {
+  if (!accessToken) {
+    return;
+  }
+
+  // The data socket expects appId:token
+  const socketToken = accessToken.includes(':') ? accessToken : `${config.fyers.appId}:${accessToken}`;
+  if (socketToken === feedState.accessToken) {
+    return;
+  }
+
+  feedState.accessToken = socketToken;
+  if (feedState.connector) {
+    closeConnection();
+    openConnection();
+  } else if (listenersBySymbol.size > 0) {
+    // Listeners subscribed before a token was available
+    openConnection();
+  }
+}
+
+/**
+ * Subscribe a listener to ticks for symbols; returns a function that unsubscribes it
+ */
+function subscribe(symbols, listener) {
+  const newSymbols = symbols.filter(symbol => !listenersBySymbol.has(symbol));
+
+  symbols.forEach(symbol => {
+    if (!listenersBySymbol.has(symbol)) {
+      listenersBySymbol.set(symbol, new Set());
+    }
+    listenersBySymbol.get(symbol).add(listener);
+  });
+
+  // Without a token the connection opens once the login or monitoring path sets one
+  if (!feedState.connector) {
+    if (feedState.accessToken) {
+      openConnection();
+    }
+  } else if (newSymbols.length > 0 && feedState.status === 'CONNECTED') {
+    feedState.connector.subscribe(newSymbols);
+  }
+
+  return () => unsubscribe(symbols, listener);
+}
+
+/**
+ * Remove a listener; symbols nobody listens to are unsubscribed on the socket
+ */
+function unsubscribe(symbols, listener) {
+  const removedSymbols = [];
+
+  symbols.forEach(symbol => {
+    const listeners = listenersBySymbol.get(symbol);
+    if (!listeners) {
+      return;
+    }
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      listenersBySymbol.delete(symbol);
+      latestTicks.delete(symbol);
+      removedSymbols.push(symbol);
+    }
+  });
+
+  if (listenersBySymbol.size === 0) {
+    closeConnection();
+  } else if (removedSymbols.length > 0 && feedState.status === 'CONNECTED') {
+    feedState.connector.unsubscribe(removedSymbols);
+  }
+}
+
+/**
+ * Latest tick for a symbol if it is fresh enough (null otherwise)
+ */
+function getLatestTick(symbol, maxAgeMs = DEFAULT_MAX_TICK_AGE_MS) {
+  const tick = latestTicks.get(symbol);
+  if (!tick || feedState.status !== 'CONNECTED' || Date.now() - tick.receivedAt.getTime() > maxAgeMs) {
+    return null;
+  }
+  return tick;
+}
+
+/**
+ * Get feed status
+ */
+function getStatus() {
+  return {
+    status: feedState.status,
+    source: config.marketFeed.url ? 'websocket' : 'fyers',
+    hasAccessToken: !!feedState.accessToken,
+    symbols: getSubscribedSymbols(),
+    listenerCount: Array.from(listenersBySymbol.values()).reduce((sum, listeners) => sum + listeners.size, 0),
+    reconnectAttempts: feedState.reconnectAttempts,
+    connectedAt: feedState.connectedAt,
+    lastTickAt: feedState.lastTickAt,
+    tickCount: feedState.tickCount,
+    lastError: feedState.lastError
+  };
+}
+
+module.exports = {
+  setConnectorFactory,
+  setAccessToken,
+  subscribe,
+  unsubscribe,
+  getLatestTick,
+  getStatus
+};
@@ -0,0 +1,565 @@
+const config = require('./config');
+const eventBus = require('./eventBus');
+const exitManagerService = require('./exitManagerService');
+const hmaService = require('./hmaService');
+const instrumentRegistry = require('./instrumentRegistry');
+const liveMarketDataService = require('./liveMarketDataService');
+const marketClock = require('./marketClock');
+const marketFeedService = require('./marketFeedService');
+const orderService = require('./orderService');
+const symbolService = require('./symbolService');
+
+// How often the monitoring loop refreshes LTP and HMA
+const POLL_INTERVAL_MS = 5 * 1000;
+
+// Trigger status lifecycle, same values as ceMonitor/peMonitor in trading state
+const TRIGGER_STATUS = {
+  WAITING: 'WAITING',
+  CROSSED: 'CROSSED',
+  ENTERED: 'ENTERED',
+  EXITED: 'EXITED'
+};
+
+// Fyers product types for option orders: INTRADAY is squared off the same day, MARGIN carries overnight
+const PRODUCT_TYPES = ['INTRADAY', 'MARGIN'];
+
+// Registry of monitored symbols keyed by entry id
+const monitoredSymbols = new Map();
+
+// Market feed unsubscribe functions keyed by entry id
+const feedSubscriptions = new Map();
+
+// Monitoring loop state
+const monitorState = {
+  timer: null,
+  timeExitTimer: null,
+  accessToken: null,
+  replayId: null,
+  isCycleRunning: false,
+  lastRunAt: null,
+  lastError: null
+};
+
+/**
+ * Format access token for Fyers data APIs (appId:token)
+ */
+function getDataToken(accessToken) {
+  return accessToken.includes(':') ? accessToken : `${config.fyers.appId}:${accessToken}`;
+}
+
+/**
+ * Get bare access token for orderService (it prepends the appId itself)
+ */
+function getOrderToken(accessToken) {
+  return accessToken && accessToken.includes(':') ? accessToken.split(':')[1] : accessToken;
+}
+
+/**
+ * Set the access token used by the monitoring loop
+ */
+function setAccessToken(accessToken) {
+  if (accessToken) {
+    monitorState.accessToken = accessToken;
+    marketFeedService.setAccessToken(accessToken);
+  }
+}
+
+/**
+ * Publish a monitoring event for an entry (replay entries go to the replay topic)
+ */
+function publishEntryEvent(type, entry) {
+  eventBus.publish(entry.replayId ? 'replay' : 'monitoring', type, { ...entry });
+}
+
+/**
+ * Build monitoring entry defaults from a saved trading state
+ */
+function getEntryDefaults(tradingState, type) {
+  if (!tradingState || !tradingState.contractInputs) {
+    return {};
+  }
+
+  const inputs = tradingState.contractInputs;
+  return {
+    tradingMode: tradingState.tradingMode,
+    lots: type === 'PE' ? inputs.peLots : inputs.ceLots,
+    targetPoints: inputs.targetPoints,
+    stopLossPoints: inputs.stopLossPoints,
+    targetType: inputs.targetType,
+    stopLossType: inputs.stopLossType,
+    entryMethod: inputs.entryMethod,
+    autoExitOnTarget: inputs.autoExitOnTarget,
+    autoExitOnStopLoss: inputs.autoExitOnStopLoss,
+    trailingStopLoss: inputs.trailingStopLoss,
+    trailingStopLossOffset: inputs.trailingStopLossOffset,
+    timeBasedExit: inputs.timeBasedExit,
+    exitAfterMinutes: inputs.exitAfterMinutes,
+    exitAtMarketClose: inputs.exitAtMarketClose
+  };
+}
+
+/**
+ * Add a symbol to monitoring
+ */
+function addSymbol(params) {
+  const {
+    symbol,
+    type,
+    lots = 1,
+    targetPoints = null,
+    stopLossPoints = null,
+    targetType = 'POINTS',
+    stopLossType = 'POINTS',
+    autoExitOnTarget = true,
+    autoExitOnStopLoss = true,
+    trailingStopLoss = false,
+    trailingStopLossOffset = 0,
+    timeBasedExit = false,
+    exitAfterMinutes = 0,
+    exitAtMarketClose = false,
+    entryMethod = 'MARKET',
+    tradingMode = 'PAPER',
+    productType = 'INTRADAY',
+    replayId = null
+  } = params;
+
+  if (!symbol || !type) {
+    throw new Error('Symbol and type are required');
+  }
+
+  // Live entries and replay entries never share the loop
+  if (monitorState.replayId !== replayId) {
+    throw new Error(monitorState.replayId
+      ? `Monitoring is running market replay ${monitorState.replayId}`
+      : 'Replay entries can only be added while a replay is running');
+  }
+
+  if (!liveMarketDataService.isValidSymbol(symbol)) {
+    throw new Error(`Invalid symbol format: ${symbol}`);
+  }
+
+  // Lot size comes from the symbol's own underlying, whatever index the UI has selected
+  const indexName = symbolService.getIndexForSymbol(symbol);
+  if (!indexName) {
+    throw new Error(`Cannot determine the index of ${symbol}; use an index or option symbol from the instrument registry`);
+  }
+  const requestedIndex = params.indexName ? instrumentRegistry.getInstrument(params.indexName) : null;
+  if (params.indexName && (!requestedIndex || requestedIndex.key !== indexName)) {
+    throw new Error(`${symbol} does not belong to index ${params.indexName}`);
+  }
+
+  if (!PRODUCT_TYPES.includes(productType)) {
+    throw new Error(`Invalid product type: ${productType} (expected ${PRODUCT_TYPES.join(' or ')})`);
+  }
+
+  const quantity = params.quantity || symbolService.calculateQuantityFromLots(indexName, lots);
+
+  const entry = {
+    id: `${type.toLowerCase()}_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+    symbol,
+    type,
+    indexName,
+    lots,
+    quantity,
+    targetPoints,
+    stopLossPoints,
+    targetType,
+    stopLossType,
+    autoExitOnTarget,
+    autoExitOnStopLoss,
+    trailingStopLoss,
+    trailingStopLossOffset,
+    timeBasedExit,
+    exitAfterMinutes,
+    exitAtMarketClose,
+    entryMethod,
+    // Replay orders always take the paper path
+    tradingMode: replayId ? 'PAPER' : tradingMode,
+    replayId,
+    productType,
+    currentLTP: 0,
+    hmaValue: 0,
+    triggerStatus: TRIGGER_STATUS.WAITING,
+    entryPrice: null,
+    entryOrderId: null,
+    entryTime: null,
+    exitPrice: null,
+    exitOrderId: null,
+    exitTime: null,
+    exitReason: null,
+    realizedPnL: null,
+    isExiting: false,
+    lastUpdate: null,
+    crossoverSignalTime: null,
+    addedAt: new Date(),
+    lastError: null
+  };
+
+  monitoredSymbols.set(entry.id, entry);
+  console.log(`📊 Added ${symbol} (${type}) to monitoring as ${entry.id}`);
+  publishEntryEvent('entry.added', entry);
+
+  // Streamed ticks replace REST polling for live entries while the feed is up
+  if (config.marketFeed.enabled && !replayId) {
+    feedSubscriptions.set(entry.id, marketFeedService.subscribe([symbol], () => {}));
+  }
+
+  startMonitoring();
+  return entry;
+}
+
+/**
+ * Remove a symbol from monitoring
+ */
+function removeSymbol(id) {
+  const entry = monitoredSymbols.get(id);
+  if (!entry) {
+    return false;
+  }
+
+  monitoredSymbols.delete(id);
+  console.log(`🛑 Removed ${entry.symbol} (${id}) from monitoring`);
+  publishEntryEvent('entry.removed', entry);
+
+  if (feedSubscriptions.has(id)) {
+    feedSubscriptions.get(id)();
+    feedSubscriptions.delete(id);
+  }
+
+  if (monitoredSymbols.size === 0) {
+    stopMonitoring();
+  }
+  return true;
+}
+
+/**
+ * Get a monitored entry by id
+ */
+function getEntry(id) {
+  return monitoredSymbols.get(id) || null;
+}
+
+/**
+ * Get all monitored entries
+ */
+function getMonitoredSymbols() {
+  return Array.from(monitoredSymbols.values());
+}
+
+/**
+ * Start the monitoring loop
+ */
+function startMonitoring() {
+  // A replay drives the cycles itself on its own clock
+  if (monitorState.timer || monitorState.replayId) {
+    return false;
+  }
+
+  monitorState.timer = setInterval(runMonitoringCycle, POLL_INTERVAL_MS);
+  monitorState.timeExitTimer = setInterval(runTimeExitCheck, config.trading.timeExitCheckIntervalMs);
+  console.log(`▶️ Monitoring started (every ${POLL_INTERVAL_MS / 1000}s)`);
+  return true;
+}
+
+/**
+ * Stop the monitoring loop
+ */
+function stopMonitoring() {
+  if (!monitorState.timer) {
+    return false;
+  }
+
+  clearInterval(monitorState.timer);
+  clearInterval(monitorState.timeExitTimer);
+  monitorState.timer = null;
+  monitorState.timeExitTimer = null;
+  console.log('⏹️ Monitoring stopped');
+  return true;
+}
+
+/**
+ * Hand the loop to a market replay (null hands it back to live monitoring)
+ */
+function setReplayMode(replayId) {
+  if (replayId) {
+    const conflict = getReplayConflict();
+    if (conflict) {
+      throw new Error(conflict);
+    }
+    stopMonitoring();
+  }
+  monitorState.replayId = replayId || null;
+}
+
+/**
+ * Why a replay cannot take over the loop right now (null when it can)
+ */
+function getReplayConflict() {
+  if (monitorState.replayId) {
+    return `Monitoring is running market replay ${monitorState.replayId}`;
+  }
+
+  const liveEntries = getMonitoredSymbols().filter(entry => !entry.replayId && entry.triggerStatus !== TRIGGER_STATUS.EXITED);
+  return liveEntries.length > 0 ? 'Stop live monitoring before starting a replay' : null;
+}
+
+/**
+ * Get monitoring status
+ */
+function getStatus() {
+  const entries = getMonitoredSymbols();
+  const countByStatus = {};
+  Object.values(TRIGGER_STATUS).forEach(status => {
+    countByStatus[status] = entries.filter(entry => entry.triggerStatus === status).length;
+  });
+
+  return {
+    active: monitorState.timer !== null,
+    allowOptionSymbols: true,
+    hasAccessToken: !!monitorState.accessToken,
+    replayId: monitorState.replayId,
+    intervalMs: POLL_INTERVAL_MS,
+    squareOffTime: config.trading.squareOffTime,
+    symbolCount: entries.length,
+    countByStatus,
+    lastRunAt: monitorState.lastRunAt,
+    lastError: monitorState.lastError
+  };
+}
+
+/**
+ * Place an order through the live or paper path depending on the entry's trading mode
+ */
+async function submitOrder(entry, orderParams, logDetails) {
+  if (entry.tradingMode === 'LIVE' && !entry.replayId) {
+    return await orderService.placeOrder(orderParams, getOrderToken(monitorState.accessToken), logDetails);
+  }
+  return await orderService.placePaperTrade(orderParams, { ...logDetails, replayId: entry.replayId || undefined });
+}
+
+/**
+ * Enter a position after a crossover signal
+ */
+async function enterPosition(entry) {
+  const orderParams = entry.entryMethod === 'LIMIT'
+    ? orderService.createLimitBuyOrder(entry.symbol, entry.quantity, entry.currentLTP, entry.productType)
+    : orderService.createMarketBuyOrder(entry.symbol, entry.quantity, entry.productType);
+
+  const result = await submitOrder(entry, orderParams, { price: entry.currentLTP });
+
+  if (!result.success) {
+    entry.lastError = result.message;
+    console.error(`❌ Entry order failed for ${entry.symbol}: ${result.message}`);
+    return false;
+  }
+
+  entry.triggerStatus = TRIGGER_STATUS.ENTERED;
+  entry.entryPrice = entry.currentLTP;
+  entry.entryOrderId = result.orderId;
+  entry.entryTime = marketClock.now();
+  entry.lastError = null;
+  exitManagerService.initializePosition(entry);
+  console.log(`✅ Entered ${entry.symbol} at ${entry.entryPrice} (${entry.tradingMode})`);
+  publishEntryEvent('entry.status', entry);
+  return true;
+}
+
+/**
+ * Exit an entered position through the exit manager
+ */
+async function exitPosition(entry, reason) {
+  // The price loop and the time-exit timer may both try to close the same entry
+  if (entry.isExiting) {
+    return false;
+  }
+
+  entry.isExiting = true;
+  const result = await exitManagerService.executeExit(
+    entry,
+    reason,
+    entry.currentLTP,
+    getOrderToken(monitorState.accessToken)
+  ).finally(() => {
+    entry.isExiting = false;
+  });
+
+  if (!result.success) {
+    entry.lastError = result.message;
+    console.error(`❌ Exit order failed for ${entry.symbol}: ${result.message}`);
+    return false;
+  }
+
+  entry.triggerStatus = TRIGGER_STATUS.EXITED;
+  entry.lastError = null;
+  console.log(`🏁 Exited ${entry.symbol} at ${entry.exitPrice} (${reason}, ${entry.tradingMode})`);
+  publishEntryEvent('entry.status', entry);
+  return true;
+}
+
+/**
+ * Apply a fresh LTP/HMA reading to an entry and advance its trigger status
+ */
+async function updateEntry(entry, ltp, hmaValue) {
+  const previousLTP = entry.currentLTP;
+  const previousHMA = entry.hmaValue;
+
+  entry.currentLTP = ltp;
+  entry.hmaValue = hmaValue;
+  entry.lastUpdate = marketClock.now();
+
+  // Need a previous reading to detect a crossover
+  const hasPreviousReading = previousLTP > 0 && previousHMA > 0;
+
+  switch (entry.triggerStatus) {
+    case TRIGGER_STATUS.WAITING:
+      // No fresh entries once the square-off cutoff has passed
+      if (exitManagerService.isPastSquareOff()) {
+        break;
+      }
+      if (hasPreviousReading && previousLTP <= previousHMA && ltp > hmaValue) {
+        entry.triggerStatus = TRIGGER_STATUS.CROSSED;
+        entry.crossoverSignalTime = marketClock.now();
+        console.log(`🚀 ${entry.symbol} crossed above HMA (${ltp} > ${hmaValue.toFixed(2)})`);
+        publishEntryEvent('entry.status', entry);
+        await enterPosition(entry);
+      }
+      break;
+
+    case TRIGGER_STATUS.CROSSED:
+      // Previous entry attempt failed, retry while entries are still allowed
+      if (!exitManagerService.isPastSquareOff()) {
+        await enterPosition(entry);
+      }
+      break;
+
+    case TRIGGER_STATUS.ENTERED: {
+      const exitReason = exitManagerService.evaluatePosition(entry, ltp);
+      if (exitReason) {
+        await exitPosition(entry, exitReason);
+      } else if (ltp < hmaValue) {
+        console.log(`🔻 ${entry.symbol} fell back below HMA (${ltp} < ${hmaValue.toFixed(2)})`);
+        await exitPosition(entry, exitManagerService.EXIT_REASONS.HMA_REVERSAL);
+      }
+      break;
+    }
+
+    default:
+      break;
+  }
+}
+
+/**
+ * Entries a cycle works on: the replay's own entries, or the live ones when there is no replay context
+ */
+function getCycleEntries(replayContext) {
+  const replayId = replayContext ? replayContext.id : undefined;
+  return getMonitoredSymbols().filter(entry => entry.replayId === replayId);
+}
+
+/**
+ * Run one monitoring cycle: refresh LTP and HMA for every active entry.
+ * A market replay passes its context ({ id, fetchQuotes(symbols), fetchCandles(...) }) so its
+ * recorded data only reaches its own entries; it is the quote source of liveMarketDataService and
+ * the history source of hmaService, so recorded data goes through the live code paths.
+ * The live loop calls it without one.
+ */
+async function runMonitoringCycle(replayContext = null) {
+  if (monitorState.isCycleRunning) {
+    return;
+  }
+
+  const activeEntries = getCycleEntries(replayContext).filter(entry => entry.triggerStatus !== TRIGGER_STATUS.EXITED);
+  if (activeEntries.length === 0) {
+    return;
+  }
+
+  // Replay data comes from the recording, no Fyers token needed
+  if (!monitorState.accessToken && !replayContext) {
+    monitorState.lastError = 'No access token available for monitoring';
+    return;
+  }
+
+  monitorState.isCycleRunning = true;
+
+  try {
+    const dataToken = replayContext ? replayContext.id : getDataToken(monitorState.accessToken);
+    const symbols = [...new Set(activeEntries.map(entry => entry.symbol))];
+
+    // Fresh feed ticks first, REST quotes only for symbols the feed has not covered
+    const feedQuotes = replayContext
+      ? []
+      : symbols.map(symbol => marketFeedService.getLatestTick(symbol)).filter(Boolean);
+    const missingSymbols = symbols.filter(symbol => !feedQuotes.some(quote => quote.symbol === symbol));
+    let restQuotes = [];
+    if (missingSymbols.length > 0) {
+      restQuotes = await liveMarketDataService.fetchMultipleMarketData(missingSymbols, dataToken, replayContext);
+    }
+    const quotes = [...feedQuotes, ...restQuotes];
+
+    const ltpBySymbol = {};
+    quotes.forEach(quote => {
+      ltpBySymbol[quote.symbol] = quote.ltp;
+    });
+
+    for (const entry of activeEntries) {
+      try {
+        const ltp = ltpBySymbol[entry.symbol];
+        if (!ltp) {
+          continue;
+        }
+
+        const hmaData = await hmaService.fetchAndCalculateHMA(entry.symbol, dataToken, { historySource: replayContext });
+        await updateEntry(entry, ltp, hmaData.currentHMA);
+      } catch (error) {
+        entry.lastError = error.message;
+        console.error(`❌ Monitoring update failed for ${entry.symbol}:`, error.message);
+      }
+    }
+
+    monitorState.lastError = null;
+  } catch (error) {
+    monitorState.lastError = error.message;
+    console.error('❌ Monitoring cycle error:', error.message);
+  } finally {
+    monitorState.lastRunAt = marketClock.now();
+    monitorState.isCycleRunning = false;
+  }
+}
+
+/**
+ * Close entered positions that hit their holding time or the square-off cutoff.
+ * Runs on its own timer so exits still fire when quote refreshes fail.
+ */
+async function runTimeExitCheck(replayContext = null) {
+  const enteredEntries = getCycleEntries(replayContext).filter(entry => entry.triggerStatus === TRIGGER_STATUS.ENTERED);
+
+  for (const entry of enteredEntries) {
+    try {
+      const exitReason = exitManagerService.checkTimeExit(entry);
+      if (exitReason) {
+        await exitPosition(entry, exitReason);
+      }
+    } catch (error) {
+      entry.lastError = error.message;
+      console.error(`❌ Time exit check failed for ${entry.symbol}:`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  POLL_INTERVAL_MS,
+  TRIGGER_STATUS,
+  getEntryDefaults,
+  setAccessToken,
+  addSymbol,
+  removeSymbol,
+  getEntry,
+  getMonitoredSymbols,
+  startMonitoring,
+  stopMonitoring,
+  setReplayMode,
+  getReplayConflict,
+  getStatus,
+  runMonitoringCycle,
+  runTimeExitCheck
+};
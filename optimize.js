@@ -0,0 +1,43 @@
+// Offline HMA strategy optimiser
+// Usage: npm run optimize -- path/to/optimize-config.json
+const fs = require('fs').promises;
+const path = require('path');
+const optimizerService = require('./optimizerService');
+
+async function main() {
+  const configPath = process.argv[2];
+
+  if (!configPath) {
+    console.error('Usage: npm run optimize -- <config.json>');
+    process.exit(1);
+  }
+
+  const resolvedPath = path.resolve(configPath);
+  const options = JSON.parse(await fs.readFile(resolvedPath, 'utf8'));
+
+  // Dataset paths are relative to the config file
+  const result = await optimizerService.runOptimization(options, path.dirname(resolvedPath));
+
+  console.log(`✅ Evaluated ${result.evaluated} combinations, ${result.qualifying} met the constraints`);
+  console.table(result.top.map((entry, rank) => ({
+    rank: rank + 1,
+    ...entry.parameters,
+    score: entry.score,
+    trades: entry.summary.totalTrades,
+    netPnL: entry.summary.netPnL,
+    winRate: entry.summary.winRate,
+    maxDrawdown: entry.summary.maxDrawdown,
+    sharpe: entry.summary.sharpe
+  })));
+
+  if (options.output) {
+    const outputPath = path.resolve(path.dirname(resolvedPath), options.output);
+    await fs.writeFile(outputPath, JSON.stringify(result, null, 2), 'utf8');
+    console.log(`💾 Results written to ${outputPath}`);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Optimisation failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,304 @@
+const fs = require('fs').promises;
+const path = require('path');
+const backtestService = require('./backtestService');
+const hmaService = require('./hmaService');
+const marketClock = require('./marketClock');
+const symbolService = require('./symbolService');
+
+// Parameters that can be swept
+const SWEEP_PARAMETERS = ['hmaPeriod', 'resolution', 'targetPoints', 'stopLossPoints', 'trailingStopLossOffset'];
+
+// Ranking objectives (higher is better)
+const OBJECTIVES = {
+  netPnL: summary => summary.netPnL,
+  sharpe: summary => summary.sharpe,
+  profitFactor: summary => summary.profitFactor,
+  winRate: summary => summary.winRate
+};
+
+// Search limits
+const MAX_COMBINATIONS = 5000;
+const DEFAULT_RANDOM_SAMPLES = 200;
+const DEFAULT_TOP_RESULTS = 10;
+const TRADING_DAYS_PER_YEAR = 252;
+
+/**
+ * Load candles saved from /api/market-data/historical (or a raw Fyers candle array)
+ */
+async function loadCandleFile(filePath, resolution) {
+  const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  const rawCandles = Array.isArray(data) ? data : data.candles;
+
+  if (!Array.isArray(rawCandles)) {
+    throw new Error(`No candles found in ${filePath}`);
+  }
+
+  return hmaService.convertAndFilterTradingHoursCandles(rawCandles, resolution).map(candle => ({
+    timestamp: candle.timestamp,
+    open: candle.open,
+    high: candle.high,
+    low: candle.low,
+    close: candle.close,
+    volume: candle.volume
+  }));
+}
+
+/**
+ * Load all datasets and group their candle series by resolution
+ */
+async function loadDatasets(datasets, baseDir = process.cwd()) {
+  if (!Array.isArray(datasets) || datasets.length === 0) {
+    throw new Error('At least one candle dataset is required');
+  }
+
+  const byResolution = new Map();
+
+  for (const dataset of datasets) {
+    if (!dataset.file || !dataset.resolution) {
+      throw new Error('Each dataset needs a file and a resolution');
+    }
+
+    const { resolution } = hmaService.normalizeHMAOptions({ resolution: dataset.resolution });
+    const candles = await loadCandleFile(path.resolve(baseDir, dataset.file), resolution);
+
+    if (!byResolution.has(resolution)) {
+      byResolution.set(resolution, []);
+    }
+    byResolution.get(resolution).push({ symbol: dataset.symbol || path.basename(dataset.file), candles });
+  }
+
+  return byResolution;
+}
+
+/**
+ * Expand a parameter spec: an array of values, a single value or { min, max, step }
+ */
+function expandParameter(name, spec) {
+  if (Array.isArray(spec)) {
+    return spec;
+  }
+
+  if (spec && typeof spec === 'object') {
+    const { min, max, step } = spec;
+    if (![min, max, step].every(value => typeof value === 'number') || step <= 0 || max < min) {
+      throw new Error(`Invalid range for ${name}: expected { min, max, step } with step > 0`);
+    }
+
+    // Count steps instead of accumulating to avoid float drift on fractional steps; the count is
+    // checked before any value is built so an oversize range cannot exhaust memory
+    const count = Math.floor((max - min) / step + 1e-9) + 1;
+    if (count > MAX_COMBINATIONS) {
+      throw new Error(`Range for ${name} has ${count} values (max ${MAX_COMBINATIONS}). Use a larger step`);
+    }
+    return Array.from({ length: count }, (value, i) => Math.round((min + i * step) * 1e6) / 1e6);
+  }
+
+  return [spec];
+}
+
+/**
+ * Cartesian product of parameter values
+ */
+function buildGrid(parameterValues) {
+  return Object.entries(parameterValues).reduce((combinations, [name, values]) => {
+    const next = [];
+    combinations.forEach(combination => {
+      values.forEach(value => next.push({ ...combination, [name]: value }));
+    });
+    return next;
+  }, [{}]);
+}
+
+/**
+ * Seeded PRNG (mulberry32) so random searches are reproducible
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draw unique random combinations from the parameter space
+ */
+function sampleCombinations(parameterValues, samples, seed) {
+  const random = createRandom(seed);
+  const entries = Object.entries(parameterValues);
+  const spaceSize = entries.reduce((size, [, values]) => size * values.length, 1);
+  const target = Math.min(samples, spaceSize);
+  const seen = new Set();
+  const combinations = [];
+
+  while (combinations.length < target) {
+    const combination = {};
+    entries.forEach(([name, values]) => {
+      combination[name] = values[Math.floor(random() * values.length)];
+    });
+
+    const key = JSON.stringify(combination);
+    if (!seen.has(key)) {
+      seen.add(key);
+      combinations.push(combination);
+    }
+  }
+
+  return combinations;
+}
+
+/**
+ * Annualised Sharpe ratio of daily P&L (by IST exit date)
+ */
+function calculateSharpe(trades) {
+  const dailyPnL = new Map();
+  trades.forEach(trade => {
+    const dayKey = marketClock.getISTDateKey(trade.exitTime);
+    dailyPnL.set(dayKey, (dailyPnL.get(dayKey) || 0) + trade.pnl);
+  });
+
+  const values = [...dailyPnL.values()];
+  if (values.length < 2) {
+    return null;
+  }
+
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1);
+  const stdDev = Math.sqrt(variance);
+
+  return stdDev > 0 ? Math.round((mean / stdDev) * Math.sqrt(TRADING_DAYS_PER_YEAR) * 100) / 100 : null;
+}
+
+/**
+ * Simulate one parameter combination over every series of its resolution
+ */
+function evaluateCombination(combination, series, baseSettings) {
+  const trades = [];
+
+  series.forEach(({ symbol, candles }) => {
+    trades.push(...backtestService.simulateStrategy(candles, {
+      ...baseSettings,
+      ...combination,
+      trailingStopLoss: combination.trailingStopLossOffset > 0 || baseSettings.trailingStopLoss,
+      symbol
+    }));
+  });
+
+  trades.sort((a, b) => a.exitTime - b.exitTime);
+
+  return {
+    ...backtestService.calculateSummary(trades),
+    sharpe: calculateSharpe(trades)
+  };
+}
+
+/**
+ * Run a grid or random search and rank the configurations.
+ * options: { datasets, parameters, search, samples, seed, objective, maxDrawdown, minTrades, top, index, lots, contractInputs }
+ */
+async function runOptimization(options, baseDir) {
+  const {
+    parameters = {},
+    search = 'grid',
+    samples = DEFAULT_RANDOM_SAMPLES,
+    seed = 1,
+    objective = 'netPnL',
+    maxDrawdown = null,
+    minTrades = 1,
+    top = DEFAULT_TOP_RESULTS,
+    index = 'NIFTY',
+    lots = 1,
+    contractInputs = {}
+  } = options;
+
+  if (!OBJECTIVES[objective]) {
+    throw new Error(`Unknown objective: ${objective}. Supported: ${Object.keys(OBJECTIVES).join(', ')}`);
+  }
+  if (!['grid', 'random'].includes(search)) {
+    throw new Error(`Unknown search: ${search}. Use grid or random`);
+  }
+
+  const unknown = Object.keys(parameters).filter(name => !SWEEP_PARAMETERS.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown parameters: ${unknown.join(', ')}. Supported: ${SWEEP_PARAMETERS.join(', ')}`);
+  }
+
+  const seriesByResolution = await loadDatasets(options.datasets, baseDir);
+
+  const parameterValues = {};
+  SWEEP_PARAMETERS.forEach(name => {
+    if (parameters[name] !== undefined) {
+      parameterValues[name] = expandParameter(name, parameters[name]).map(value => name === 'resolution' ? String(value) : value);
+    }
+  });
+
+  // Without an explicit sweep every loaded resolution is tried
+  if (!parameterValues.resolution) {
+    parameterValues.resolution = [...seriesByResolution.keys()];
+  }
+
+  const missing = parameterValues.resolution.filter(resolution => !seriesByResolution.has(resolution));
+  if (missing.length > 0) {
+    throw new Error(`No candle dataset for resolution(s): ${missing.join(', ')}`);
+  }
+
+  parameterValues.hmaPeriod = (parameterValues.hmaPeriod || [55]).map(period => hmaService.normalizeHMAOptions({ period }).period);
+
+  let combinations;
+  if (search === 'grid') {
+    // Sized from the per-parameter counts before the product is built
+    const gridSize = Object.values(parameterValues).reduce((size, values) => size * values.length, 1);
+    if (gridSize > MAX_COMBINATIONS) {
+      throw new Error(`Grid has ${gridSize} combinations (max ${MAX_COMBINATIONS}). Narrow the ranges or use random search`);
+    }
+    combinations = buildGrid(parameterValues);
+  } else {
+    combinations = sampleCombinations(parameterValues, Math.min(samples, MAX_COMBINATIONS), seed);
+  }
+
+  const baseSettings = {
+    targetType: 'POINTS',
+    stopLossType: 'POINTS',
+    exitAtMarketClose: true,
+    ...contractInputs,
+    quantity: options.quantity || symbolService.calculateQuantityFromLots(index, lots)
+  };
+
+  console.log(`🔬 Optimising over ${combinations.length} combinations (${search} search, objective ${objective})`);
+
+  const score = OBJECTIVES[objective];
+  const results = combinations.map(combination => {
+    const summary = evaluateCombination(combination, seriesByResolution.get(combination.resolution), baseSettings);
+    return { parameters: combination, score: score(summary), summary };
+  });
+
+  const qualifying = results.filter(result =>
+    result.summary.totalTrades >= minTrades &&
+    (maxDrawdown === null || result.summary.maxDrawdown <= maxDrawdown) &&
+    result.score !== null
+  );
+
+  qualifying.sort((a, b) => b.score - a.score);
+
+  return {
+    objective,
+    search,
+    evaluated: results.length,
+    qualifying: qualifying.length,
+    constraints: { maxDrawdown, minTrades },
+    top: qualifying.slice(0, top)
+  };
+}
+
+module.exports = {
+  SWEEP_PARAMETERS,
+  loadCandleFile,
+  expandParameter,
+  buildGrid,
+  sampleCombinations,
+  calculateSharpe,
+  runOptimization
+};
@@ -0,0 +1,157 @@
+const config = require('./config');
+const liveMarketDataService = require('./liveMarketDataService');
+const marketClock = require('./marketClock');
+const optionsAnalytics = require('./optionsAnalytics');
+const symbolService = require('./symbolService');
+
+/**
+ * Quote, depth, IV and Greek columns for one option contract
+ */
+function buildContractRow(option, optionType, quote, depth, spotPrice, now) {
+  const bestBid = depth && depth.bids && depth.bids[0];
+  const bestAsk = depth && depth.ask && depth.ask[0];
+  const hasOI = depth && typeof depth.oi === 'number';
+
+  return {
+    symbol: option.symbol,
+    moneyness: option.type,
+    level: option.level,
+    ltp: quote ? quote.ltp : null,
+    change: quote ? quote.change : null,
+    changePercent: quote ? quote.changePercent : null,
+    volume: quote ? quote.volume : null,
+    oi: hasOI ? depth.oi : null,
+    oiChange: hasOI && typeof depth.pdoi === 'number' ? depth.oi - depth.pdoi : null,
+    bid: bestBid ? bestBid.price : null,
+    bidQty: bestBid ? bestBid.volume : null,
+    ask: bestAsk ? bestAsk.price : null,
+    askQty: bestAsk ? bestAsk.volume : null,
+    ...optionsAnalytics.analyzeOption({
+      optionType,
+      strike: option.strike,
+      expiry: option.expiry,
+      optionPrice: quote ? quote.ltp : null,
+      spotPrice,
+      rate: config.optionsAnalytics.riskFreeRate,
+      now
+    })
+  };
+}
+
+/**
+ * Build the option chain for an index: strikes around the ATM of the live index price,
+ * with CE/PE quotes, OI and best bid/ask per strike.
+ * expiry (YYYY-MM-DD) picks the expiry on or after that date; defaults to the next expiry.
+ * IV and Greeks are added per contract; targetDelta also reports the closest CE/PE strikes.
+ */
+async function getOptionChain({ index, expiry, targetDelta, accessToken }) {
+  const indexSymbol = symbolService.getIndexQuoteSymbol(index);
+  if (!indexSymbol) {
+    throw new Error(`Unknown index: ${index}`);
+  }
+
+  const indexQuote = await liveMarketDataService.fetchMarketData(indexSymbol, accessToken);
+  if (!indexQuote || !indexQuote.ltp) {
+    throw new Error(`No live price available for ${indexSymbol}`);
+  }
+
+  const ladder = symbolService.generateStrikeSymbols(index, indexQuote.ltp, expiry);
+  const options = [...ladder.ce, ...ladder.pe];
+  const symbols = options.map(option => option.symbol);
+
+  const quotes = await liveMarketDataService.fetchMultipleMarketData(symbols, accessToken);
+  const quotesBySymbol = new Map(quotes.map(quote => [quote.symbol, quote]));
+
+  // Depth carries OI and bid/ask; the chain is still useful without it
+  let depthBySymbol = {};
+  let depthError = null;
+  try {
+    depthBySymbol = await liveMarketDataService.getMultipleMarketDepth(symbols, accessToken);
+  } catch (error) {
+    depthError = error.message;
+    console.warn(`⚠️ Option chain depth unavailable for ${index}: ${error.message}`);
+  }
+
+  const now = marketClock.now();
+  const spotPrice = indexQuote.ltp;
+  const peByStrike = new Map(ladder.pe.map(option => [option.strike, option]));
+  const strikes = ladder.ce.map(ce => {
+    const pe = peByStrike.get(ce.strike);
+    return {
+      strike: ce.strike,
+      isATM: ce.strike === ladder.atmStrike,
+      ce: buildContractRow(ce, 'CE', quotesBySymbol.get(ce.symbol), depthBySymbol[ce.symbol], spotPrice, now),
+      pe: pe ? buildContractRow(pe, 'PE', quotesBySymbol.get(pe.symbol), depthBySymbol[pe.symbol], spotPrice, now) : null
+    };
+  });
+
+  // Strikes closest to a target delta, to pick contracts by delta instead of ITM/OTM level
+  let deltaSelection;
+  if (targetDelta !== undefined) {
+    const ceRow = optionsAnalytics.findStrikeByDelta(strikes, 'CE', targetDelta);
+    const peRow = optionsAnalytics.findStrikeByDelta(strikes, 'PE', targetDelta);
+    deltaSelection = {
+      targetDelta,
+      ce: ceRow ? { strike: ceRow.strike, symbol: ceRow.ce.symbol, delta: ceRow.ce.delta } : null,
+      pe: peRow ? { strike: peRow.strike, symbol: peRow.pe.symbol, delta: peRow.pe.delta } : null
+    };
+  }
+
+  return {
+    index,
+    underlyingSymbol: indexSymbol,
+    underlyingPrice: indexQuote.ltp,
+    atmStrike: ladder.atmStrike,
+    expiry: ladder.ce.length > 0 ? ladder.ce[0].expiry : null,
+    depthAvailable: depthError === null,
+    depthError,
+    riskFreeRate: config.optionsAnalytics.riskFreeRate,
+    strikes,
+    deltaSelection,
+    timestamp: now
+  };
+}
+
+/**
+ * IV and Greeks for one contract, from its live LTP and the live index price.
+ * expiry (YYYY-MM-DD) picks the expiry on or after that date; defaults to the next expiry.
+ */
+async function getOptionAnalytics({ index, strike, optionType, expiry, accessToken }) {
+  const indexSymbol = symbolService.getIndexQuoteSymbol(index);
+  if (!indexSymbol) {
+    throw new Error(`Unknown index: ${index}`);
+  }
+
+  const option = symbolService.createOptionSymbol(index, strike, optionType, null, expiry ? new Date(expiry) : marketClock.now());
+  if (!option) {
+    throw new Error(`Could not create option symbol for ${index} ${strike} ${optionType}`);
+  }
+
+  const [indexQuote, optionQuote] = await liveMarketDataService.fetchMultipleMarketData([indexSymbol, option.symbol], accessToken);
+
+  return {
+    symbol: option.symbol,
+    index,
+    strike,
+    optionType,
+    expiry: option.expiryDisplay,
+    underlyingSymbol: indexSymbol,
+    underlyingPrice: indexQuote.ltp,
+    ltp: optionQuote.ltp,
+    riskFreeRate: config.optionsAnalytics.riskFreeRate,
+    ...optionsAnalytics.analyzeOption({
+      optionType,
+      strike,
+      expiry: option.expiryDisplay,
+      optionPrice: optionQuote.ltp,
+      spotPrice: indexQuote.ltp,
+      rate: config.optionsAnalytics.riskFreeRate
+    }),
+    timestamp: marketClock.now()
+  };
+}
+
+module.exports = {
+  getOptionChain,
+  getOptionAnalytics
+};
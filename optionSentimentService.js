@@ -0,0 +1,280 @@
+const fs = require('fs').promises;
+const path = require('path');
+const marketClock = require('./marketClock');
+const optionChainService = require('./optionChainService');
+const symbolService = require('./symbolService');
+
+// Option chain snapshots are kept per index and session: data/sentiment/<INDEX>/<YYYY-MM-DD>.json
+// Snapshot: { index, expiry, timestamp, underlyingPrice, strikes: [{ strike, ce: { ltp, oi, volume }, pe: { ... } }] }
+// Recorded snapshot files can be dropped in (or posted to /api/sentiment/analyze) to analyse offline.
+const SENTIMENT_DIR = path.join(__dirname, 'data', 'sentiment');
+
+// A new snapshot is captured at most this often per index and expiry
+const SNAPSHOT_INTERVAL_MS = 5 * 60 * 1000;
+
+// Captures in progress per index and expiry (`${index}:${expiry}`), so concurrent requests never capture the same chain twice
+const pendingCaptures = new Map();
+
+// Queued writes per session file
+const pendingWrites = new Map();
+
+/**
+ * File holding a session's snapshots for an index
+ */
+function getSnapshotPath(index, dateKey) {
+  return path.join(SENTIMENT_DIR, index.replace(/[^A-Za-z0-9-]/g, '_'), `${dateKey}.json`);
+}
+
+/**
+ * Read a session's snapshots (empty if none were captured)
+ */
+async function readSnapshots(index, dateKey) {
+  try {
+    const data = await fs.readFile(getSnapshotPath(index, dateKey), 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    console.error(`Error reading sentiment snapshots for ${index} (${dateKey}):`, error);
+    return [];
+  }
+}
+
+/**
+ * Append a snapshot to its session file. Every expiry of an index shares the file, so writes to it
+ * are queued one after another, and each goes to a temp file renamed over the original so a reader
+ * never sees a half-written file.
+ */
+async function saveSnapshot(snapshot) {
+  const dateKey = marketClock.getISTDateKey(new Date(snapshot.timestamp));
+  const filePath = getSnapshotPath(snapshot.index, dateKey);
+
+  const previous = pendingWrites.get(filePath) || Promise.resolve();
+  const write = previous
+    .catch(() => {})
+    .then(() => appendSnapshot(filePath, snapshot, dateKey));
+
+  pendingWrites.set(filePath, write);
+
+  try {
+    await write;
+  } finally {
+    if (pendingWrites.get(filePath) === write) {
+      pendingWrites.delete(filePath);
+    }
+  }
+}
+
+/**
+ * Read-modify-write of one session file (only called through the saveSnapshot queue)
+ */
+async function appendSnapshot(filePath, snapshot, dateKey) {
+  const snapshots = await readSnapshots(snapshot.index, dateKey);
+  snapshots.push(snapshot);
+
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  try {
+    await fs.writeFile(tempPath, JSON.stringify(snapshots, null, 2), 'utf8');
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Reduce an option chain response to the fields sentiment needs
+ */
+function buildSnapshot(chain) {
+  const pick = row => (row ? { ltp: row.ltp, oi: row.oi, volume: row.volume } : null);
+
+  return {
+    index: chain.index,
+    expiry: chain.expiry,
+    timestamp: new Date(chain.timestamp),
+    underlyingPrice: chain.underlyingPrice,
+    strikes: chain.strikes.map(row => ({ strike: row.strike, ce: pick(row.ce), pe: pick(row.pe) }))
+  };
+}
+
+/**
+ * Strike at which option writers pay out the least if the index expires there
+ */
+function calculateMaxPain(strikes) {
+  let maxPain = null;
+
+  strikes.forEach(({ strike: expiryPrice }) => {
+    const payout = strikes.reduce((sum, { strike, ce, pe }) => {
+      const callPayout = ((ce && ce.oi) || 0) * Math.max(expiryPrice - strike, 0);
+      const putPayout = ((pe && pe.oi) || 0) * Math.max(strike - expiryPrice, 0);
+      return sum + callPayout + putPayout;
+    }, 0);
+
+    if (!maxPain || payout < maxPain.payout) {
+      maxPain = { strike: expiryPrice, payout };
+    }
+  });
+
+  return maxPain ? maxPain.strike : null;
+}
+
+/**
+ * Classify a contract's move: price and OI up = long build-up, price down and OI up = short build-up,
+ * price up and OI down = short covering, both down = long unwinding
+ */
+function classifyBuildUp(priceChange, oiChange) {
+  if (!priceChange || !oiChange) {
+    return null;
+  }
+  if (oiChange > 0) {
+    return priceChange > 0 ? 'LONG_BUILDUP' : 'SHORT_BUILDUP';
+  }
+  return priceChange > 0 ? 'SHORT_COVERING' : 'LONG_UNWINDING';
+}
+
+/**
+ * OI and price change of one contract since the baseline snapshot
+ */
+function getContractChange(current, baseline) {
+  if (!current || !baseline || current.oi === null || baseline.oi === null) {
+    return { oiChange: null, priceChange: null, buildUp: null };
+  }
+
+  const oiChange = current.oi - baseline.oi;
+  const priceChange = current.ltp !== null && baseline.ltp !== null ? current.ltp - baseline.ltp : null;
+  return { oiChange, priceChange, buildUp: classifyBuildUp(priceChange, oiChange) };
+}
+
+/**
+ * PCR (OI and volume), max pain and per-strike OI change versus a baseline snapshot
+ */
+function calculateSentiment(snapshot, baseline = null) {
+  const sum = (side, field) => snapshot.strikes.reduce((total, row) => total + ((row[side] && row[side][field]) || 0), 0);
+  const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+
+  const totals = {
+    ceOI: sum('ce', 'oi'),
+    peOI: sum('pe', 'oi'),
+    ceVolume: sum('ce', 'volume'),
+    peVolume: sum('pe', 'volume')
+  };
+
+  const baselineByStrike = new Map(((baseline && baseline.strikes) || []).map(row => [row.strike, row]));
+  const strikes = snapshot.strikes.map(row => {
+    const baselineRow = baselineByStrike.get(row.strike) || {};
+    return {
+      strike: row.strike,
+      ceOI: row.ce ? row.ce.oi : null,
+      peOI: row.pe ? row.pe.oi : null,
+      ce: getContractChange(row.ce, baselineRow.ce),
+      pe: getContractChange(row.pe, baselineRow.pe)
+    };
+  });
+
+  return {
+    index: snapshot.index,
+    expiry: snapshot.expiry,
+    timestamp: snapshot.timestamp,
+    underlyingPrice: snapshot.underlyingPrice,
+    totals,
+    pcrOI: ratio(totals.peOI, totals.ceOI),
+    pcrVolume: ratio(totals.peVolume, totals.ceVolume),
+    maxPain: calculateMaxPain(snapshot.strikes),
+    baselineTimestamp: baseline ? baseline.timestamp : null,
+    strikes
+  };
+}
+
+/**
+ * Analyse a session's snapshots: the latest sentiment (OI change since the first snapshot)
+ * and a time series of PCR, max pain and the index price for charting
+ */
+function analyzeSnapshots(snapshots) {
+  if (!snapshots || snapshots.length === 0) {
+    return null;
+  }
+
+  const ordered = [...snapshots].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const baseline = ordered[0];
+
+  const history = ordered.map(snapshot => {
+    const sentiment = calculateSentiment(snapshot);
+    return {
+      timestamp: snapshot.timestamp,
+      underlyingPrice: snapshot.underlyingPrice,
+      pcrOI: sentiment.pcrOI,
+      pcrVolume: sentiment.pcrVolume,
+      maxPain: sentiment.maxPain,
+      ceOI: sentiment.totals.ceOI,
+      peOI: sentiment.totals.peOI
+    };
+  });
+
+  return {
+    latest: calculateSentiment(ordered[ordered.length - 1], baseline),
+    snapshotCount: ordered.length,
+    history
+  };
+}
+
+/**
+ * Capture and store a snapshot of the live option chain
+ */
+async function captureSnapshot(index, expiry, accessToken) {
+  const chain = await optionChainService.getOptionChain({ index, expiry, accessToken });
+  const snapshot = buildSnapshot(chain);
+  await saveSnapshot(snapshot);
+  console.log(`📸 Captured option sentiment snapshot for ${index} (${snapshot.expiry})`);
+  return snapshot;
+}
+
+/**
+ * Sentiment for an index and expiry over a session. For today's session a fresh snapshot is
+ * captured from the live option chain when the last one is older than the snapshot interval.
+ */
+async function getSentiment({ index, expiry, date, accessToken }) {
+  const todayKey = marketClock.getISTDateKey(marketClock.now());
+  const dateKey = date || todayKey;
+
+  // Without an expiry, use the index's next expiry as of the session (its open for past sessions)
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const sessionTime = dateKey === todayKey ? marketClock.now() : marketClock.fromISTDateTime(year, month - 1, day, 9, 15);
+  const targetExpiry = expiry || symbolService.getExpiryForIndex(index, sessionTime);
+
+  let snapshots = await readSnapshots(index, dateKey);
+
+  if (dateKey === todayKey && accessToken && marketClock.isWithinMarketHours()) {
+    const matching = snapshots.filter(snapshot => snapshot.expiry === targetExpiry);
+    const last = matching[matching.length - 1];
+
+    if (!last || marketClock.now().getTime() - new Date(last.timestamp).getTime() >= SNAPSHOT_INTERVAL_MS) {
+      const captureKey = `${index}:${targetExpiry}`;
+      if (!pendingCaptures.has(captureKey)) {
+        pendingCaptures.set(captureKey, captureSnapshot(index, targetExpiry, accessToken)
+          .finally(() => pendingCaptures.delete(captureKey)));
+      }
+      await pendingCaptures.get(captureKey);
+      snapshots = await readSnapshots(index, dateKey);
+    }
+  }
+
+  const sessionSnapshots = snapshots.filter(snapshot => snapshot.expiry === targetExpiry);
+
+  return {
+    index,
+    expiry: targetExpiry,
+    date: dateKey,
+    ...(analyzeSnapshots(sessionSnapshots) || { latest: null, snapshotCount: 0, history: [] })
+  };
+}
+
+module.exports = {
+  buildSnapshot,
+  calculateMaxPain,
+  calculateSentiment,
+  analyzeSnapshots,
+  getSentiment
+};
@@ -0,0 +1,166 @@
+const marketClock = require('./marketClock');
+
+// Black-Scholes pricing, implied volatility and Greeks for European index options.
+// Time is in years (365-day), rates and volatility are annualised decimals (0.065 = 6.5%).
+
+const DAYS_PER_YEAR = 365;
+const MS_PER_YEAR = DAYS_PER_YEAR * 24 * 60 * 60 * 1000;
+
+// Implied volatility search bounds and tolerance
+const MIN_VOLATILITY = 0.001;
+const MAX_VOLATILITY = 5;
+const IV_PRICE_TOLERANCE = 0.0001;
+const MAX_IV_ITERATIONS = 100;
+
+// Options are treated as having at least a minute left so Greeks stay finite in the last minutes
+const MIN_TIME_TO_EXPIRY = 1 / (DAYS_PER_YEAR * 24 * 60);
+
+/**
+ * Standard normal density
+ */
+function normPdf(x) {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Standard normal cumulative distribution (Abramowitz-Stegun 7.1.26, error < 1.5e-7)
+ */
+function normCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) *
+    Math.exp(-x * x / 2);
+  return x >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+/**
+ * d1 and d2 terms of the Black-Scholes formula
+ */
+function getD1D2(spot, strike, timeToExpiry, rate, volatility) {
+  const volSqrtT = volatility * Math.sqrt(timeToExpiry);
+  const d1 = (Math.log(spot / strike) + (rate + volatility * volatility / 2) * timeToExpiry) / volSqrtT;
+  return { d1, d2: d1 - volSqrtT };
+}
+
+/**
+ * Black-Scholes price of a CE or PE
+ */
+function blackScholesPrice(optionType, spot, strike, timeToExpiry, rate, volatility) {
+  const { d1, d2 } = getD1D2(spot, strike, timeToExpiry, rate, volatility);
+  const discountedStrike = strike * Math.exp(-rate * timeToExpiry);
+
+  return optionType === 'CE'
+    ? spot * normCdf(d1) - discountedStrike * normCdf(d2)
+    : discountedStrike * normCdf(-d2) - spot * normCdf(-d1);
+}
+
+/**
+ * Greeks of a CE or PE. Theta is per calendar day, vega and rho per 1 percentage point.
+ */
+function calculateGreeks(optionType, spot, strike, timeToExpiry, rate, volatility) {
+  const { d1, d2 } = getD1D2(spot, strike, timeToExpiry, rate, volatility);
+  const sqrtT = Math.sqrt(timeToExpiry);
+  const discountedStrike = strike * Math.exp(-rate * timeToExpiry);
+  const isCall = optionType === 'CE';
+
+  const decay = -(spot * normPdf(d1) * volatility) / (2 * sqrtT);
+  const carry = isCall ? -rate * discountedStrike * normCdf(d2) : rate * discountedStrike * normCdf(-d2);
+
+  return {
+    delta: isCall ? normCdf(d1) : normCdf(d1) - 1,
+    gamma: normPdf(d1) / (spot * volatility * sqrtT),
+    theta: (decay + carry) / DAYS_PER_YEAR,
+    vega: spot * normPdf(d1) * sqrtT / 100,
+    rho: (isCall ? discountedStrike * timeToExpiry * normCdf(d2) : -discountedStrike * timeToExpiry * normCdf(-d2)) / 100
+  };
+}
+
+/**
+ * Solve implied volatility from an option price (Newton-Raphson with a bisection fallback).
+ * Returns null when the price is outside what any volatility can produce.
+ */
+function impliedVolatility(optionType, optionPrice, spot, strike, timeToExpiry, rate) {
+  const discountedStrike = strike * Math.exp(-rate * timeToExpiry);
+  const intrinsic = optionType === 'CE' ? Math.max(spot - discountedStrike, 0) : Math.max(discountedStrike - spot, 0);
+  const upperBound = optionType === 'CE' ? spot : discountedStrike;
+
+  if (!(optionPrice > intrinsic) || optionPrice >= upperBound) {
+    return null;
+  }
+
+  let low = MIN_VOLATILITY;
+  let high = MAX_VOLATILITY;
+  let volatility = 0.2;
+
+  for (let i = 0; i < MAX_IV_ITERATIONS; i++) {
+    const difference = blackScholesPrice(optionType, spot, strike, timeToExpiry, rate, volatility) - optionPrice;
+    if (Math.abs(difference) < IV_PRICE_TOLERANCE) {
+      return volatility;
+    }
+
+    // Price rises with volatility, so the root stays bracketed
+    if (difference > 0) {
+      high = volatility;
+    } else {
+      low = volatility;
+    }
+
+    const vega = spot * normPdf(getD1D2(spot, strike, timeToExpiry, rate, volatility).d1) * Math.sqrt(timeToExpiry);
+    const newtonStep = vega > 1e-8 ? volatility - difference / vega : NaN;
+    volatility = newtonStep > low && newtonStep < high ? newtonStep : (low + high) / 2;
+  }
+
+  return volatility;
+}
+
+/**
+ * Years until 3:30 PM IST on an expiry date (YYYY-MM-DD); 0 once expired
+ */
+function getTimeToExpiry(expiryDateKey, now = marketClock.now()) {
+  const [year, month, day] = expiryDateKey.split('-').map(Number);
+  const expiryClose = marketClock.fromISTDateTime(year, month - 1, day, 0, marketClock.MARKET_CLOSE_MINUTES);
+  return Math.max((expiryClose.getTime() - now.getTime()) / MS_PER_YEAR, 0);
+}
+
+/**
+ * IV and Greeks for an option from its price and the underlying price.
+ * Greeks are null when no implied volatility fits the price or the option has expired.
+ */
+function analyzeOption({ optionType, strike, expiry, optionPrice, spotPrice, rate, now = marketClock.now() }) {
+  const remaining = getTimeToExpiry(expiry, now);
+  const timeToExpiry = Math.max(remaining, MIN_TIME_TO_EXPIRY);
+  const iv = remaining > 0 && optionPrice && spotPrice
+    ? impliedVolatility(optionType, optionPrice, spotPrice, strike, timeToExpiry, rate)
+    : null;
+  const greeks = iv !== null ? calculateGreeks(optionType, spotPrice, strike, timeToExpiry, rate, iv) : null;
+
+  return {
+    iv: iv !== null ? iv * 100 : null,
+    delta: greeks ? greeks.delta : null,
+    gamma: greeks ? greeks.gamma : null,
+    theta: greeks ? greeks.theta : null,
+    vega: greeks ? greeks.vega : null,
+    rho: greeks ? greeks.rho : null,
+    timeToExpiryDays: remaining * DAYS_PER_YEAR
+  };
+}
+
+/**
+ * Pick the chain row whose CE or PE delta is closest to a target (PE targets may be given as positive)
+ */
+function findStrikeByDelta(strikes, optionType, targetDelta) {
+  const side = optionType === 'CE' ? 'ce' : 'pe';
+  const target = optionType === 'PE' ? -Math.abs(targetDelta) : Math.abs(targetDelta);
+
+  return strikes
+    .filter(row => row[side] && row[side].delta !== null)
+    .reduce((best, row) => (!best || Math.abs(row[side].delta - target) < Math.abs(best[side].delta - target) ? row : best), null);
+}
+
+module.exports = {
+  blackScholesPrice,
+  calculateGreeks,
+  impliedVolatility,
+  getTimeToExpiry,
+  analyzeOption,
+  findStrikeByDelta
+};
@@ -1,11 +1,26 @@
 const axios = require('axios');
 const config = require('./config');
+const eventBus = require('./eventBus');
 const tradeLogService = require('./tradeLogService');
 
+/**
+ * Publish an order event (replay orders go to the replay topic)
+ */
+function publishOrderEvent(type, orderParams, details) {
+  eventBus.publish(details.replayId ? 'replay' : 'orders', type, {
+    symbol: orderParams.symbol,
+    action: orderParams.side === 1 ? 'BUY' : 'SELL',
+    quantity: orderParams.qty,
+    orderType: orderParams.type === 1 ? 'LIMIT' : 'MARKET',
+    ...details
+  });
+}
+
 /**
  * Place an order with Fyers API
+ * logDetails are merged into the trade log entry (e.g. price, pnl, exitReason)
  */
-async function placeOrder(orderParams, accessToken) {
+async function placeOrder(orderParams, accessToken, logDetails = {}) {
   try {
     if (!accessToken) {
       throw new Error('No valid authentication token found');
@@ -24,6 +39,7 @@ async function placeOrder(orderParams, accessToken) {
 
     if (response.data.s === 'ok') {
       console.log(`✅ Order placed successfully: ${response.data.id}`);
+      publishOrderEvent('order.placed', orderParams, { orderId: response.data.id, tradingMode: 'LIVE' });
       
       // Log the trade
       await tradeLogService.addTradeLog({
@@ -35,7 +51,8 @@ async function placeOrder(orderParams, accessToken) {
         status: 'COMPLETED',
         pnl: null, // To be updated later
         remarks: `Order ID: ${response.data.id}`,
-        tradingMode: 'LIVE'
+        tradingMode: 'LIVE',
+        ...logDetails
       });
       
       return {
@@ -45,6 +62,7 @@ async function placeOrder(orderParams, accessToken) {
       };
     } else {
       console.error(`❌ Order placement failed: ${response.data.message}`);
+      publishOrderEvent('order.failed', orderParams, { tradingMode: 'LIVE', message: response.data.message });
       return {
         success: false,
         message: response.data.message || 'Order placement failed'
@@ -52,6 +70,7 @@ async function placeOrder(orderParams, accessToken) {
     }
   } catch (error) {
     console.error('❌ Error placing order:', error);
+    publishOrderEvent('order.failed', orderParams, { tradingMode: 'LIVE', message: error.message });
     return {
       success: false,
       message: `Error placing order: ${error.message || 'Unknown error'}`
@@ -61,8 +80,9 @@ async function placeOrder(orderParams, accessToken) {
 
 /**
  * Place a paper trade (simulated)
+ * logDetails are merged into the trade log entry (e.g. price, pnl, exitReason)
  */
-async function placePaperTrade(orderParams) {
+async function placePaperTrade(orderParams, logDetails = {}) {
   try {
     console.log(`📝 Placing paper trade for ${orderParams.symbol}`);
     
@@ -79,9 +99,12 @@ async function placePaperTrade(orderParams) {
       status: 'COMPLETED',
       pnl: null, // To be updated later
       remarks: `Paper Trade ID: ${orderId}`,
-      tradingMode: 'PAPER'
+      tradingMode: 'PAPER',
+      ...logDetails
     });
     
+    publishOrderEvent('order.placed', orderParams, { orderId, tradingMode: 'PAPER', replayId: logDetails.replayId });
+    
     return {
       success: true,
       orderId,
@@ -159,6 +182,7 @@ async function cancelOrder(orderId, accessToken) {
 
     if (response.data.s === 'ok') {
       console.log(`✅ Order cancelled successfully: ${orderId}`);
+      eventBus.publish('orders', 'order.cancelled', { orderId });
       return {
         success: true,
         message: 'Order cancelled successfully'
@@ -242,13 +266,13 @@ async function updateTradePnL(tradeId, pnl) {
 /**
  * Create market buy order
  */
-function createMarketBuyOrder(symbol, quantity) {
+function createMarketBuyOrder(symbol, quantity, productType = 'INTRADAY') {
   return {
     symbol,
     qty: quantity,
     type: 2, // MARKET
     side: 1, // BUY
-    productType: 'INTRADAY',
+    productType,
     validity: 'DAY',
     disclosedQty: 0,
     offlineOrder: 'False',
@@ -260,13 +284,13 @@ function createMarketBuyOrder(symbol, quantity) {
 /**
  * Create market sell order
  */
-function createMarketSellOrder(symbol, quantity) {
+function createMarketSellOrder(symbol, quantity, productType = 'INTRADAY') {
   return {
     symbol,
     qty: quantity,
     type: 2, // MARKET
     side: -1, // SELL
-    productType: 'INTRADAY',
+    productType,
     validity: 'DAY',
     disclosedQty: 0,
     offlineOrder: 'False',
@@ -278,13 +302,13 @@ function createMarketSellOrder(symbol, quantity) {
 /**
  * Create limit buy order
  */
-function createLimitBuyOrder(symbol, quantity, price) {
+function createLimitBuyOrder(symbol, quantity, price, productType = 'INTRADAY') {
   return {
     symbol,
     qty: quantity,
     type: 1, // LIMIT
     side: 1, // BUY
-    productType: 'INTRADAY',
+    productType,
     limitPrice: price,
     validity: 'DAY',
     disclosedQty: 0,
@@ -297,13 +321,13 @@ function createLimitBuyOrder(symbol, quantity, price) {
 /**
  * Create limit sell order
  */
-function createLimitSellOrder(symbol, quantity, price) {
+function createLimitSellOrder(symbol, quantity, price, productType = 'INTRADAY') {
   return {
     symbol,
     qty: quantity,
     type: 1, // LIMIT
     side: -1, // SELL
-    productType: 'INTRADAY',
+    productType,
     limitPrice: price,
     validity: 'DAY',
     disclosedQty: 0,
@@ -316,13 +340,13 @@ function createLimitSellOrder(symbol, quantity, price) {
 /**
  * Create stop loss order
  */
-function createStopLossOrder(symbol, quantity, triggerPrice) {
+function createStopLossOrder(symbol, quantity, triggerPrice, productType = 'INTRADAY') {
   return {
     symbol,
     qty: quantity,
     type: 4, // SL-MARKET
     side: -1, // SELL
-    productType: 'INTRADAY',
+    productType,
     stopPrice: triggerPrice,
     validity: 'DAY',
     disclosedQty: 0,
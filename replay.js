@@ -0,0 +1,37 @@
+// Offline market replay through the monitoring loop
+// Usage: npm run replay -- path/to/recording.json [speed]   (speed: 1, 10 or max; default max)
+const path = require('path');
+const replayService = require('./replayService');
+
+async function main() {
+  const [recordingPath, speed = replayService.MAX_SPEED] = process.argv.slice(2);
+
+  if (!recordingPath) {
+    console.error('Usage: npm run replay -- <recording.json> [1|10|max]');
+    process.exit(1);
+  }
+
+  const session = await replayService.prepareReplay({ filePath: path.resolve(recordingPath), speed });
+  await replayService.executeReplay(session);
+
+  if (session.status === 'FAILED') {
+    throw new Error(session.error);
+  }
+
+  console.log(`✅ Replay ${session.id} ${session.status.toLowerCase()} (${session.cycles} cycles)`);
+  console.table(session.entries.map(entry => ({
+    symbol: entry.symbol,
+    status: entry.triggerStatus,
+    entryTime: entry.entryTime,
+    entryPrice: entry.entryPrice,
+    exitTime: entry.exitTime,
+    exitPrice: entry.exitPrice,
+    exitReason: entry.exitReason,
+    pnl: entry.realizedPnL
+  })));
+}
+
+main().catch(error => {
+  console.error('❌ Replay failed:', error.message);
+  process.exit(1);
+});
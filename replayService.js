@@ -0,0 +1,423 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('./config');
+const eventBus = require('./eventBus');
+const hmaService = require('./hmaService');
+const marketClock = require('./marketClock');
+const monitoringService = require('./monitoringService');
+const tradeLogService = require('./tradeLogService');
+const tradingStateService = require('./tradingStateService');
+
+// Recordings available to the API
+const REPLAYS_DIR = path.join(__dirname, 'data', 'replays');
+
+// Replay speeds: multiples of real time, or 'max' to run without waiting
+const MAX_SPEED = 'max';
+
+// Only one replay can drive the monitoring loop at a time
+let activeSession = null;
+let lastSession = null;
+
+/**
+ * Resolve a recording name to a file inside data/replays
+ */
+function getRecordingPath(name) {
+  if (!name || name !== path.basename(name) || !name.endsWith('.json')) {
+    throw new Error(`Invalid recording name: ${name}`);
+  }
+  return path.join(REPLAYS_DIR, name);
+}
+
+/**
+ * List recordings in data/replays
+ */
+async function listRecordings() {
+  try {
+    const files = await fs.readdir(REPLAYS_DIR);
+    return files.filter(file => file.endsWith('.json')).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Parse a replay speed (1, 10, ... or 'max')
+ */
+function parseSpeed(speed = 1) {
+  if (speed === MAX_SPEED) {
+    return MAX_SPEED;
+  }
+
+  const value = Number(speed);
+  if (!(value > 0)) {
+    throw new Error(`Invalid replay speed: ${speed}. Use a positive multiple (1, 10) or max`);
+  }
+  return value;
+}
+
+/**
+ * Load one symbol's recorded data: a saved /api/market-data/historical response,
+ * a raw Fyers candle array, or { candles, ticks } inline
+ */
+async function loadSymbolRecording(source, baseDir) {
+  let data = source;
+  if (typeof source === 'string') {
+    data = JSON.parse(await fs.readFile(path.resolve(baseDir, source), 'utf8'));
+  }
+
+  const candles = Array.isArray(data) ? data : data.candles;
+  if (!Array.isArray(candles) || candles.length === 0) {
+    throw new Error('Recording has no candles');
+  }
+
+  return {
+    candles: [...candles].sort((a, b) => a[0] - b[0]),
+    // Ticks are [timestamp, ltp] pairs
+    ticks: Array.isArray(data.ticks) ? [...data.ticks].sort((a, b) => a[0] - b[0]) : []
+  };
+}
+
+/**
+ * Load a recording file:
+ * { date: 'YYYY-MM-DD', resolution: '5', symbols: { 'NSE:...': 'candles.json' | { candles, ticks } } }
+ */
+async function loadRecording(filePath) {
+  const recording = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  const { date, symbols } = recording;
+  const resolution = String(recording.resolution || '5');
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+    throw new Error('Recording needs a date (YYYY-MM-DD)');
+  }
+  if (resolution === 'D' || !hmaService.SUPPORTED_RESOLUTIONS.includes(resolution)) {
+    throw new Error(`Recording needs an intraday resolution, got ${resolution}`);
+  }
+  if (!symbols || Object.keys(symbols).length === 0) {
+    throw new Error('Recording has no symbols');
+  }
+
+  const series = new Map();
+  for (const [symbol, source] of Object.entries(symbols)) {
+    try {
+      series.set(symbol, await loadSymbolRecording(source, path.dirname(filePath)));
+    } catch (error) {
+      throw new Error(`${symbol}: ${error.message}`);
+    }
+  }
+
+  const [year, month, day] = date.split('-').map(Number);
+  return { date, resolution, series, year, month: month - 1, day };
+}
+
+/**
+ * Price path through a candle: open, first extreme, second extreme, close.
+ * Up candles are assumed to dip first, down candles to rally first.
+ */
+function getCandlePath(candle) {
+  const [, open, high, low, close] = candle;
+  return close >= open ? [open, low, high, close] : [open, high, low, close];
+}
+
+/**
+ * Candle state part-way through (fraction 0..1): price so far and the partial OHLC
+ */
+function getPartialCandle(candle, fraction) {
+  const points = getCandlePath(candle);
+  const position = Math.min(Math.max(fraction, 0), 1) * (points.length - 1);
+  const segment = Math.min(Math.floor(position), points.length - 2);
+  const price = points[segment] + (points[segment + 1] - points[segment]) * (position - segment);
+  const visited = [...points.slice(0, segment + 1), price];
+
+  return [candle[0], candle[1], Math.max(...visited), Math.min(...visited), price, Math.round((candle[5] || 0) * fraction)];
+}
+
+/**
+ * Build the replay data source for a recording: quotes and candles as of a replay time
+ */
+function createReplaySource(recording) {
+  const candleSeconds = Number(recording.resolution) * 60;
+  const dayStart = marketClock.fromISTDateTime(recording.year, recording.month, recording.day).getTime() / 1000;
+
+  /**
+   * Completed candles plus the partial candle in progress at a replay time
+   */
+  function getCandlesAt(symbol, time) {
+    const data = recording.series.get(symbol);
+    if (!data) {
+      throw new Error(`No recorded data for ${symbol}`);
+    }
+
+    const seconds = time.getTime() / 1000;
+    const result = [];
+
+    for (const candle of data.candles) {
+      if (candle[0] + candleSeconds <= seconds) {
+        result.push(candle);
+      } else if (candle[0] <= seconds) {
+        const ticks = data.ticks.filter(tick => tick[0] >= candle[0] && tick[0] <= seconds);
+        result.push(ticks.length > 0
+          ? [candle[0], ticks[0][1], Math.max(...ticks.map(tick => tick[1])), Math.min(...ticks.map(tick => tick[1])), ticks[ticks.length - 1][1], 0]
+          : getPartialCandle(candle, (seconds - candle[0]) / candleSeconds));
+        break;
+      } else {
+        break;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Quote for a symbol at a replay time, shaped like a Fyers quotes API entry
+   */
+  function getQuoteAt(symbol, time) {
+    const data = recording.series.get(symbol);
+    const seconds = time.getTime() / 1000;
+    const candles = data ? getCandlesAt(symbol, time) : [];
+    const sessionCandles = candles.filter(candle => candle[0] >= dayStart);
+    const previousCandles = candles.filter(candle => candle[0] < dayStart);
+
+    let ltp = sessionCandles.length > 0 ? sessionCandles[sessionCandles.length - 1][4] : 0;
+    const lastTick = data ? data.ticks.filter(tick => tick[0] <= seconds && tick[0] >= dayStart).pop() : null;
+    if (lastTick) {
+      ltp = lastTick[1];
+    }
+
+    const previousClose = previousCandles.length > 0 ? previousCandles[previousCandles.length - 1][4] : 0;
+    const change = ltp && previousClose ? ltp - previousClose : 0;
+
+    return {
+      n: symbol,
+      s: 'ok',
+      v: {
+        lp: ltp,
+        open_price: sessionCandles.length > 0 ? sessionCandles[0][1] : 0,
+        high_price: sessionCandles.length > 0 ? Math.max(...sessionCandles.map(candle => candle[2])) : 0,
+        low_price: sessionCandles.length > 0 ? Math.min(...sessionCandles.map(candle => candle[3])) : 0,
+        prev_close_price: previousClose,
+        volume: sessionCandles.reduce((sum, candle) => sum + (candle[5] || 0), 0),
+        ch: change,
+        chp: previousClose ? (change / previousClose) * 100 : 0,
+        tt: Math.floor(seconds)
+      }
+    };
+  }
+
+  return { getCandlesAt, getQuoteAt };
+}
+
+/**
+ * Option type of a symbol from its CE/PE marker
+ */
+function getOptionType(symbol) {
+  const match = /(CE|PE)\d*$/.exec(symbol);
+  return match ? match[1] : null;
+}
+
+/**
+ * Load a recording and set up a replay session.
+ * options: { filePath, speed, symbols: [{ symbol, type, ...exit settings }], userId }
+ */
+async function prepareReplay(options) {
+  if (activeSession) {
+    throw new Error(`Replay ${activeSession.id} is already running`);
+  }
+
+  const speed = parseSpeed(options.speed);
+  const recording = await loadRecording(options.filePath);
+
+  // By default every recorded option symbol is monitored
+  const symbolInputs = options.symbols && options.symbols.length > 0
+    ? options.symbols
+    : [...recording.series.keys()].filter(getOptionType).map(symbol => ({ symbol }));
+
+  if (symbolInputs.length === 0) {
+    throw new Error('No option symbols to monitor in this recording');
+  }
+
+  symbolInputs.forEach(input => {
+    if (!recording.series.has(input.symbol)) {
+      throw new Error(`No recorded data for ${input.symbol}`);
+    }
+  });
+
+  const tradingState = await tradingStateService.loadTradingState(options.userId || 'default');
+
+  return {
+    id: `replay_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+    file: path.basename(options.filePath),
+    date: recording.date,
+    resolution: recording.resolution,
+    speed,
+    status: 'READY',
+    recording,
+    symbolInputs: symbolInputs.map(input => {
+      const type = input.type || getOptionType(input.symbol) || 'CE';
+      return { ...monitoringService.getEntryDefaults(tradingState, type), ...input, type };
+    }),
+    startTime: marketClock.fromISTDateTime(recording.year, recording.month, recording.day, 9, 15),
+    endTime: marketClock.fromISTDateTime(recording.year, recording.month, recording.day, 15, 30),
+    replayTime: null,
+    cycles: 0,
+    entries: [],
+    trades: [],
+    startedAt: null,
+    completedAt: null,
+    error: null
+  };
+}
+
+/**
+ * Wait between replay steps according to the speed
+ */
+function waitForNextStep(speed) {
+  if (speed === MAX_SPEED) {
+    // Still yield so the server keeps answering requests
+    return new Promise(resolve => setImmediate(resolve));
+  }
+  return new Promise(resolve => setTimeout(resolve, monitoringService.POLL_INTERVAL_MS / speed));
+}
+
+/**
+ * Why a replay cannot start right now: one is already running or live monitoring has entries (null when it can)
+ */
+function getStartConflict() {
+  if (activeSession) {
+    return `Replay ${activeSession.id} is already running`;
+  }
+  return monitoringService.getReplayConflict();
+}
+
+/**
+ * Run a prepared replay through the monitoring loop until the close (or stop)
+ */
+async function executeReplay(session) {
+  const conflict = getStartConflict();
+  if (conflict) {
+    throw new Error(conflict);
+  }
+
+  const source = createReplaySource(session.recording);
+
+  // Claimed before the first await, so a start that passed getStartConflict cannot be overtaken
+  monitoringService.setReplayMode(session.id);
+  activeSession = session;
+  session.status = 'RUNNING';
+  session.startedAt = new Date();
+  session.replayTime = session.startTime;
+
+  // Recorded quotes and candles only reach the replay's own monitoring cycles, and the replay clock only
+  // applies to calls made from this run, so other requests keep live data and the wall clock meanwhile
+  const replayContext = {
+    id: session.id,
+    fetchQuotes: async quoteSymbols => quoteSymbols.map(symbol => source.getQuoteAt(symbol, session.replayTime)),
+    fetchCandles: async (symbol, resolution) => {
+      if (resolution !== session.recording.resolution) {
+        throw new Error(`Recording has ${session.recording.resolution}-minute candles, ${resolution} requested`);
+      }
+      return source.getCandlesAt(symbol, session.replayTime);
+    }
+  };
+
+  return marketClock.runWithClock(() => session.replayTime, () => runReplayLoop(session, replayContext));
+}
+
+/**
+ * Replay loop of executeReplay, run on the replay clock
+ */
+async function runReplayLoop(session, replayContext) {
+  try {
+    const entryIds = session.symbolInputs.map(input => monitoringService.addSymbol({ ...input, replayId: session.id }).id);
+    eventBus.publish('replay', 'replay.started', { id: session.id, file: session.file, date: session.date, speed: session.speed });
+    console.log(`⏯️ Replay ${session.id} started: ${session.file} (${session.date}) at ${session.speed === MAX_SPEED ? 'max' : `${session.speed}x`} speed`);
+
+    let lastTimeExitCheck = session.startTime.getTime();
+
+    for (let time = session.startTime.getTime(); time <= session.endTime.getTime(); time += monitoringService.POLL_INTERVAL_MS) {
+      if (session.status !== 'RUNNING') {
+        break;
+      }
+
+      session.replayTime = new Date(time);
+      await monitoringService.runMonitoringCycle(replayContext);
+
+      if (time - lastTimeExitCheck >= config.trading.timeExitCheckIntervalMs) {
+        lastTimeExitCheck = time;
+        await monitoringService.runTimeExitCheck(replayContext);
+      }
+
+      session.cycles++;
+      session.entries = entryIds.map(id => ({ ...monitoringService.getEntry(id) }));
+
+      if (session.entries.every(entry => entry.triggerStatus === monitoringService.TRIGGER_STATUS.EXITED)) {
+        break;
+      }
+
+      await waitForNextStep(session.speed);
+    }
+
+    if (session.status === 'RUNNING') {
+      session.status = 'COMPLETED';
+    }
+    entryIds.forEach(id => monitoringService.removeSymbol(id));
+  } catch (error) {
+    session.status = 'FAILED';
+    session.error = error.message;
+    console.error(`❌ Replay ${session.id} failed:`, error.message);
+  } finally {
+    monitoringService.getMonitoredSymbols()
+      .filter(entry => entry.replayId === session.id)
+      .forEach(entry => monitoringService.removeSymbol(entry.id));
+    monitoringService.setReplayMode(null);
+    hmaService.clearSourceCache(session.id);
+
+    session.trades = await tradeLogService.getReplayTradeLogs(session.id);
+    session.completedAt = new Date();
+    activeSession = null;
+    lastSession = session;
+    eventBus.publish('replay', 'replay.finished', { id: session.id, status: session.status, cycles: session.cycles, trades: session.trades.length });
+    console.log(`⏹️ Replay ${session.id} ${session.status.toLowerCase()} after ${session.cycles} cycles, ${session.trades.length} trades`);
+  }
+
+  return session;
+}
+
+/**
+ * Ask the running replay to stop after the current cycle
+ */
+function stopReplay() {
+  if (!activeSession) {
+    return false;
+  }
+  activeSession.status = 'STOPPED';
+  return true;
+}
+
+/**
+ * Status of the running (or last finished) replay
+ */
+function getReplayStatus() {
+  const session = activeSession || lastSession;
+  if (!session) {
+    return { active: false, replay: null };
+  }
+
+  const { recording, symbolInputs, ...details } = session;
+  return { active: session === activeSession, replay: details };
+}
+
+module.exports = {
+  MAX_SPEED,
+  getRecordingPath,
+  listRecordings,
+  loadRecording,
+  createReplaySource,
+  prepareReplay,
+  getStartConflict,
+  executeReplay,
+  stopReplay,
+  getReplayStatus
+};
@@ -0,0 +1,117 @@
+const marketClock = require('./marketClock');
+
+// Builds minute bars of any size from 1-minute Fyers candles ([timestamp, open, high, low, close, volume]).
+// Buckets start at the NSE session open (9:15 IST), so 75-minute bars are 9:15, 10:30, ... and
+// the last bar of a day is cut short at 3:30 PM when the session does not divide evenly.
+
+// Resolutions the Fyers history API serves directly
+const NATIVE_RESOLUTIONS = ['1', '2', '3', '5', '10', '15', '20', '30', '45', '60', '120', '180', '240', 'D'];
+
+// Longest bar that fits in one session
+const MAX_RESAMPLE_MINUTES = marketClock.MARKET_CLOSE_MINUTES - marketClock.MARKET_OPEN_MINUTES;
+
+/**
+ * Whether Fyers serves a resolution directly
+ */
+function isNativeResolution(resolution) {
+  return NATIVE_RESOLUTIONS.includes(String(resolution).toUpperCase());
+}
+
+/**
+ * Whether a resolution is a whole number of minutes that fits in a session
+ */
+function isMinuteResolution(resolution) {
+  if (!/^\d+$/.test(String(resolution))) {
+    return false;
+  }
+  const minutes = parseInt(resolution, 10);
+  return minutes >= 1 && minutes <= MAX_RESAMPLE_MINUTES;
+}
+
+/**
+ * Whether a resolution has to be built locally from 1-minute candles
+ */
+function needsResampling(resolution) {
+  return isMinuteResolution(resolution) && !isNativeResolution(resolution);
+}
+
+/**
+ * Session-aligned start of the bar containing a timestamp (seconds; null outside the session)
+ */
+function getBarStart(timestamp, minutes) {
+  const date = new Date(timestamp * 1000);
+  const minutesIntoSession = marketClock.getISTMinutesOfDay(date) - marketClock.MARKET_OPEN_MINUTES;
+
+  if (minutesIntoSession < 0 || minutesIntoSession >= MAX_RESAMPLE_MINUTES) {
+    return null;
+  }
+
+  const { year, month, day } = marketClock.getISTParts(date);
+  const sessionOpen = marketClock.fromISTDateTime(year, month, day, 0, marketClock.MARKET_OPEN_MINUTES).getTime() / 1000;
+  return sessionOpen + Math.floor(minutesIntoSession / minutes) * minutes * 60;
+}
+
+/**
+ * End of a bar (seconds), cut short at the session close
+ */
+function getBarEnd(barStart, minutes) {
+  const date = new Date(barStart * 1000);
+  const { year, month, day } = marketClock.getISTParts(date);
+  const sessionClose = marketClock.fromISTDateTime(year, month, day, 0, marketClock.MARKET_CLOSE_MINUTES).getTime() / 1000;
+  return Math.min(barStart + minutes * 60, sessionClose);
+}
+
+/**
+ * Whether a bar is still forming at `now`
+ */
+function isBarPartial(barStart, minutes, now = marketClock.now()) {
+  return now.getTime() / 1000 < getBarEnd(barStart, minutes);
+}
+
+/**
+ * Resample 1-minute candles to `resolution` minutes. Candles outside the session are dropped;
+ * the bar in progress is built from whatever minutes exist so far.
+ */
+function resampleCandles(oneMinuteCandles, resolution) {
+  if (!isMinuteResolution(resolution)) {
+    throw new Error(`Cannot resample to ${resolution}: use a minute resolution between 1 and ${MAX_RESAMPLE_MINUTES}`);
+  }
+
+  const minutes = parseInt(resolution, 10);
+  const bars = [];
+  let current = null;
+
+  [...oneMinuteCandles]
+    .sort((a, b) => a[0] - b[0])
+    .forEach(([timestamp, open, high, low, close, volume]) => {
+      const barStart = getBarStart(timestamp, minutes);
+      if (barStart === null) {
+        return;
+      }
+
+      if (!current || current[0] !== barStart) {
+        current = [barStart, open, high, low, close, volume || 0];
+        bars.push(current);
+        return;
+      }
+
+      current[2] = Math.max(current[2], high);
+      current[3] = Math.min(current[3], low);
+      current[4] = close;
+      current[5] += volume || 0;
+    });
+
+  return bars;
+}
+
+module.exports = {
+  NATIVE_RESOLUTIONS,
+  MAX_RESAMPLE_MINUTES,
+  isNativeResolution,
+  isMinuteResolution,
+  needsResampling,
+  getBarStart,
+  getBarEnd,
+  isBarPartial,
+  resampleCandles
+};
@@ -0,0 +1,243 @@
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('./config');
+const marketClock = require('./marketClock');
+
+// Fyers instrument master CSVs are kept under data/symbol_master/<source>.csv and indexed in memory.
+// Columns used: 0 fyToken, 1 description, 2 instrument type, 3 lot size, 4 tick size, 8 expiry (epoch),
+// 9 symbol ticker, 10 exchange, 11 segment, 13 underlying, 15 strike, 16 option type (CE/PE, XX for futures)
+const MASTER_DIR = path.join(__dirname, 'data', 'symbol_master');
+
+const master = {
+  bySymbol: new Map(),
+  // underlying -> expiry (YYYY-MM-DD) -> strike -> { CE, PE }
+  options: new Map(),
+  exchanges: new Set(),
+  sources: {},
+  loadedAt: null
+};
+
+/**
+ * Split a CSV line, honouring double-quoted fields
+ */
+function parseCSVLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (quoted && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === ',' && !quoted) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+
+  return fields.map(value => value.trim());
+}
+
+/**
+ * Convert a CSV row to an instrument (null for header or malformed rows)
+ */
+function parseInstrument(fields) {
+  const symbol = fields[9];
+  if (!symbol || !symbol.includes(':')) {
+    return null;
+  }
+
+  const expiryEpoch = parseInt(fields[8], 10);
+  const optionType = ['CE', 'PE'].includes(fields[16]) ? fields[16] : null;
+
+  return {
+    symbol,
+    fyToken: fields[0],
+    description: fields[1],
+    instrumentType: fields[2],
+    lotSize: parseInt(fields[3], 10) || null,
+    tickSize: parseFloat(fields[4]) || null,
+    expiry: expiryEpoch > 0 ? marketClock.getISTDateKey(new Date(expiryEpoch * 1000)) : null,
+    exchange: symbol.split(':')[0],
+    segment: fields[11],
+    underlying: fields[13] || null,
+    strike: optionType ? parseFloat(fields[15]) : null,
+    optionType
+  };
+}
+
+/**
+ * Add an instrument to the in-memory indexes
+ */
+function indexInstrument(instrument, indexes) {
+  indexes.bySymbol.set(instrument.symbol, instrument);
+  indexes.exchanges.add(instrument.exchange);
+
+  if (!instrument.optionType || !instrument.underlying || !instrument.expiry) {
+    return;
+  }
+
+  if (!indexes.options.has(instrument.underlying)) {
+    indexes.options.set(instrument.underlying, new Map());
+  }
+  const expiries = indexes.options.get(instrument.underlying);
+  if (!expiries.has(instrument.expiry)) {
+    expiries.set(instrument.expiry, new Map());
+  }
+  const strikes = expiries.get(instrument.expiry);
+  if (!strikes.has(instrument.strike)) {
+    strikes.set(instrument.strike, {});
+  }
+  strikes.get(instrument.strike)[instrument.optionType] = instrument;
+}
+
+/**
+ * Load every configured master file from disk, replacing the in-memory indexes.
+ * Missing files are skipped, leaving validation on its regex fallback.
+ */
+async function loadMaster() {
+  const indexes = { bySymbol: new Map(), options: new Map(), exchanges: new Set() };
+  const sources = {};
+
+  for (const source of Object.keys(config.symbolMaster.sources)) {
+    const filePath = path.join(MASTER_DIR, `${source}.csv`);
+    try {
+      const [data, stats] = await Promise.all([fs.readFile(filePath, 'utf8'), fs.stat(filePath)]);
+      let count = 0;
+
+      data.split(/\r?\n/).forEach(line => {
+        const instrument = line ? parseInstrument(parseCSVLine(line)) : null;
+        if (instrument) {
+          indexInstrument(instrument, indexes);
+          count++;
+        }
+      });
+
+      sources[source] = { instruments: count, fileUpdatedAt: stats.mtime };
+      console.log(`📇 Loaded ${count} instruments from ${source} symbol master`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error loading ${source} symbol master:`, error);
+      }
+    }
+  }
+
+  master.bySymbol = indexes.bySymbol;
+  master.options = indexes.options;
+  master.exchanges = indexes.exchanges;
+  master.sources = sources;
+  master.loadedAt = Object.keys(sources).length > 0 ? new Date() : null;
+
+  return getStatus();
+}
+
+/**
+ * Download fresh master files from Fyers (all sources or the given ones) and reload
+ */
+async function refreshMaster(sourceNames = Object.keys(config.symbolMaster.sources)) {
+  const unknown = sourceNames.filter(source => !config.symbolMaster.sources[source]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown symbol master source: ${unknown.join(', ')}`);
+  }
+
+  await fs.mkdir(MASTER_DIR, { recursive: true });
+
+  for (const source of sourceNames) {
+    console.log(`📥 Downloading ${source} symbol master`);
+    const response = await axios.get(config.symbolMaster.sources[source], { responseType: 'text' });
+    await fs.writeFile(path.join(MASTER_DIR, `${source}.csv`), response.data, 'utf8');
+  }
+
+  return loadMaster();
+}
+
+/**
+ * Whether any master file is loaded
+ */
+function isLoaded() {
+  return master.loadedAt !== null;
+}
+
+/**
+ * Whether a master covering an exchange (NSE or BSE) is loaded
+ */
+function coversExchange(exchange) {
+  return master.exchanges.has(exchange);
+}
+
+/**
+ * Whether the master lists contracts for an underlying (e.g. NIFTY)
+ */
+function hasUnderlying(underlying) {
+  return master.options.has(underlying);
+}
+
+/**
+ * Look up an instrument by its Fyers symbol (null if not listed)
+ */
+function getInstrument(symbol) {
+  return master.bySymbol.get(symbol) || null;
+}
+
+/**
+ * Listed expiries for an underlying, ascending (YYYY-MM-DD)
+ */
+function getExpiries(underlying) {
+  const expiries = master.options.get(underlying);
+  return expiries ? Array.from(expiries.keys()).sort() : [];
+}
+
+/**
+ * Listed strikes for an underlying and expiry, ascending
+ */
+function getStrikes(underlying, expiry) {
+  const expiries = master.options.get(underlying);
+  const strikes = expiries && expiries.get(expiry);
+  return strikes ? Array.from(strikes.keys()).sort((a, b) => a - b) : [];
+}
+
+/**
+ * Find a listed option contract (null if it does not exist)
+ */
+function findOption(underlying, expiry, strike, optionType) {
+  const expiries = master.options.get(underlying);
+  const strikes = expiries && expiries.get(expiry);
+  const contracts = strikes && strikes.get(Number(strike));
+  return (contracts && contracts[optionType]) || null;
+}
+
+/**
+ * Loaded sources and instrument counts
+ */
+function getStatus() {
+  return {
+    loaded: isLoaded(),
+    loadedAt: master.loadedAt,
+    instrumentCount: master.bySymbol.size,
+    exchanges: Array.from(master.exchanges),
+    underlyings: Array.from(master.options.keys()).sort(),
+    sources: master.sources
+  };
+}
+
+module.exports = {
+  loadMaster,
+  refreshMaster,
+  isLoaded,
+  coversExchange,
+  hasUnderlying,
+  getInstrument,
+  getExpiries,
+  getStrikes,
+  findOption,
+  getStatus
+};
@@ -1,128 +1,40 @@
-const INDEX_CONFIGS = {
-  'NIFTY': {
-    name: 'Nifty 50',
-    symbol: 'NSE:NIFTY',
-    lotSize: 75,
-    tickSize: 0.05,
-    strikeInterval: 50
-  },
-  'BANKNIFTY': {
-    name: 'Bank Nifty',
-    symbol: 'NSE:NIFTYBANK',
-    lotSize: 30,
-    tickSize: 0.05,
-    strikeInterval: 100
-  },
-  'NIFTYMIDCAPSELECT': {
-    name: 'Nifty Midcap Select',
-    symbol: 'NSE:NIFTYMIDCPSELECT',
-    lotSize: 120,
-    tickSize: 0.05,
-    strikeInterval: 25
-  },
-  'NIFTYFINSERVICE': {
-    name: 'Nifty Financial Services',
-    symbol: 'NSE:NIFTYFINSERVICE',
-    lotSize: 65,
-    tickSize: 0.05,
-    strikeInterval: 50
-  },
-  'NIFTYNEXT50': {
-    name: 'Nifty Next 50',
-    symbol: 'NSE:NIFTYNEXT50',
-    lotSize: 25,
-    tickSize: 0.05,
-    strikeInterval: 25
-  },
-  'SENSEX': {
-    name: 'BSE Sensex',
-    symbol: 'BSE:SENSEX',
-    lotSize: 20,
-    tickSize: 0.01,
-    strikeInterval: 100
-  },
-  'BANKEX': {
-    name: 'BSE Bankex',
-    symbol: 'BSE:BANKEX',
-    lotSize: 30,
-    tickSize: 0.01,
-    strikeInterval: 100
-  },
-  'SENSEX50': {
-    name: 'BSE Sensex 50',
-    symbol: 'BSE:SENSEX50',
-    lotSize: 60,
-    tickSize: 0.01,
-    strikeInterval: 50
-  }
-};
-
-// Strike intervals for different indices
-const STRIKE_INTERVALS = {
-  'NIFTY': 50,
-  'BANKNIFTY': 100,
-  'SENSEX': 100,
-  'FINNIFTY': 50,
-  'MIDCPNIFTY': 25
-};
-
-// Expiry types
-const EXPIRY_TYPES = {
-  'NIFTY': 'weekly',      // Weekly expiry (Thursday)
-  'BANKNIFTY': 'monthly', // Monthly expiry (last Thursday)  
-  'SENSEX': 'weekly',     // Weekly expiry (Tuesday)
-  'FINNIFTY': 'monthly',  // Monthly expiry (last Thursday)
-  'MIDCPNIFTY': 'monthly' // Monthly expiry (last Thursday)
-};
-
-// Exchange prefixes
-const EXCHANGES = {
-  'NIFTY': 'NSE',
-  'BANKNIFTY': 'NSE',
-  'SENSEX': 'BSE',
-  'FINNIFTY': 'NSE',
-  'MIDCPNIFTY': 'NSE'
-};
-
-// Base symbols for options
-const BASE_SYMBOLS = {
-  'NIFTY': 'NIFTY',
-  'BANKNIFTY': 'BANKNIFTY',
-  'SENSEX': 'SENSEX',
-  'FINNIFTY': 'FINNIFTY',
-  'MIDCPNIFTY': 'MIDCPNIFTY'
-};
-
-// Predefined holidays for 2025
-const HOLIDAYS_2025 = [
-  '2025-02-26', '2025-03-14', '2025-03-31', '2025-04-10', 
-  '2025-04-14', '2025-04-18', '2025-05-01', '2025-08-15', 
-  '2025-08-27', '2025-10-02', '2025-10-21', '2025-10-22', 
-  '2025-11-05', '2025-12-25'
-];
+const instrumentRegistry = require('./instrumentRegistry');
+const marketClock = require('./marketClock');
+const symbolMasterService = require('./symbolMasterService');
+const tradingCalendar = require('./tradingCalendar');
 
 /**
- * Map index name for symbol (NIFTYBANK -> BANKNIFTY)
+ * Map an index name or alias to its registry key (NIFTYBANK -> BANKNIFTY); unknown names are returned as given
  */
 function mapIndexNameForSymbol(indexName) {
-  if (indexName === 'NIFTYBANK') return 'BANKNIFTY';
-  return indexName;
+  const instrument = instrumentRegistry.getInstrument(indexName);
+  return instrument ? instrument.key : indexName;
 }
 
 /**
- * Check if a date is a holiday (weekend or predefined holiday)
+ * Get an index's registry entry, throwing for indices that are not in the registry
  */
-function isHoliday(date) {
-  const dayOfWeek = date.getDay();
-  
-  // Check if weekend
-  if (dayOfWeek === 0 || dayOfWeek === 6) { // Sunday = 0, Saturday = 6
-    return true;
+function requireInstrument(indexName) {
+  const instrument = instrumentRegistry.getInstrument(indexName);
+  if (!instrument) {
+    throw new Error(`Index configuration not found for: ${indexName}`);
   }
-  
-  // Check predefined holidays
-  const dateStr = formatDate(date);
-  return HOLIDAYS_2025.includes(dateStr);
+  return instrument;
+}
+
+/**
+ * Get the exchange an index trades on (NSE or BSE)
+ */
+function getExchangeForIndex(indexName) {
+  const instrument = instrumentRegistry.getInstrument(indexName);
+  return instrument ? instrument.exchange : 'NSE';
+}
+
+/**
+ * Check if a date is a holiday on an exchange (weekend or exchange holiday, per its trading calendar)
+ */
+function isHoliday(date, exchange = 'NSE') {
+  return tradingCalendar.isHoliday(formatDate(date), exchange);
 }
 
 /**
@@ -136,12 +48,12 @@ function formatDate(date) {
 }
 
 /**
- * Adjust expiry date to previous working day if it's a holiday
+ * Adjust expiry date to previous working day if it's a holiday on the exchange
  */
-function adjustForHoliday(originalDate) {
+function adjustForHoliday(originalDate, exchange = 'NSE') {
   let adjustedDate = new Date(originalDate);
   
-  while (isHoliday(adjustedDate)) {
+  while (isHoliday(adjustedDate, exchange)) {
     adjustedDate.setDate(adjustedDate.getDate() - 1);
   }
   
@@ -178,36 +90,37 @@ function getNextWeekday(currentDate, weekday) {
 }
 
 /**
- * Get next weekly expiry (Thursday for NIFTY, Tuesday for SENSEX)
+ * Get next weekly expiry on a weekday
+ * currentDate is an IST calendar date; isAfterClose is true once today's session has ended
  */
-function getNextWeeklyExpiry(currentDate, indexName) {
-  const weekday = indexName === 'SENSEX' ? 2 : 4; // Tuesday = 2, Thursday = 4
-  let nextExpiry = getNextWeekday(currentDate, weekday);
+function getNextWeeklyExpiry(currentDate, weekday, exchange, isAfterClose = false) {
+  const nextWeekday = getNextWeekday(currentDate, weekday);
+  let nextExpiry = adjustForHoliday(nextWeekday, exchange);
   
-  // If today is the expiry day and market has closed (after 3:30 PM), move to next week
-  if (currentDate.getDay() === weekday && currentDate.getHours() >= 15 && currentDate.getMinutes() >= 30) {
-    nextExpiry.setDate(nextExpiry.getDate() + 7);
+  // Expiry already over: moved before today by a holiday, or today after 3:30 PM IST
+  if (nextExpiry < currentDate || (nextExpiry.getTime() === currentDate.getTime() && isAfterClose)) {
+    nextWeekday.setDate(nextWeekday.getDate() + 7);
+    nextExpiry = adjustForHoliday(nextWeekday, exchange);
   }
   
-  // Adjust for holidays
-  return adjustForHoliday(nextExpiry);
+  return nextExpiry;
 }
 
 /**
- * Get next monthly expiry (last Thursday for NSE, last Tuesday for BSE)
+ * Get next monthly expiry (last given weekday of the month)
+ * currentDate is an IST calendar date; isAfterClose is true once today's session has ended
  */
-function getNextMonthlyExpiry(currentDate, indexName) {
-  const weekday = indexName === 'SENSEX' ? 2 : 4; // Tuesday = 2, Thursday = 4
+function getNextMonthlyExpiry(currentDate, weekday, exchange, isAfterClose = false) {
   const year = currentDate.getFullYear();
   const month = currentDate.getMonth();
   
   // Get this month's expiry
   let thisMonthExpiry = getLastWeekdayInMonth(year, month, weekday);
-  thisMonthExpiry = adjustForHoliday(thisMonthExpiry);
+  thisMonthExpiry = adjustForHoliday(thisMonthExpiry, exchange);
   
   // If current date is before this month's expiry, use it
   if (currentDate < thisMonthExpiry || 
-      (currentDate.getTime() === thisMonthExpiry.getTime() && currentDate.getHours() < 15)) {
+      (currentDate.getTime() === thisMonthExpiry.getTime() && !isAfterClose)) {
     return thisMonthExpiry;
   }
   
@@ -216,48 +129,78 @@ function getNextMonthlyExpiry(currentDate, indexName) {
   const nextYear = month === 11 ? year + 1 : year;
   
   let nextMonthExpiry = getLastWeekdayInMonth(nextYear, nextMonth, weekday);
-  return adjustForHoliday(nextMonthExpiry);
+  return adjustForHoliday(nextMonthExpiry, exchange);
 }
 
 /**
- * Calculate next expiry date based on expiry type
+ * Find the next expiry of an index from an IST calendar date under its effective-dated expiry rules.
+ * An expiry that would fall on or after a later rule's effective date is recalculated under that rule.
+ * cycle forces 'monthly' to get the month-end expiry of a weekly index.
  */
-function getNextExpiryDate(indexName, currentDate = new Date()) {
+function findNextExpiry(indexName, calendarDate, isAfterClose, cycle = null) {
+  const exchange = getExchangeForIndex(indexName);
+  const rules = instrumentRegistry.getExpiryRules(indexName);
+  const currentRule = instrumentRegistry.getExpiryRuleForDate(indexName, formatDate(calendarDate));
+  
+  for (let i = rules.indexOf(currentRule); i < rules.length; i++) {
+    const rule = rules[i];
+    const [year, month, day] = rule.effectiveFrom.split('-').map(Number);
+    const ruleStart = new Date(year, month - 1, day);
+    const fromDate = ruleStart > calendarDate ? ruleStart : calendarDate;
+    const afterClose = fromDate === calendarDate && isAfterClose;
+    
+    const expiryDate = (cycle || rule.cycle) === 'weekly'
+      ? getNextWeeklyExpiry(fromDate, rule.weekday, exchange, afterClose)
+      : getNextMonthlyExpiry(fromDate, rule.weekday, exchange, afterClose);
+    
+    const nextRule = rules[i + 1];
+    if (!nextRule || formatDate(expiryDate) < nextRule.effectiveFrom) {
+      return { expiryDate, rule };
+    }
+  }
+}
+
+/**
+ * Calculate next expiry date from the index's expiry rules, as seen from the IST market clock
+ */
+function getNextExpiryDate(indexName, currentDate = marketClock.now()) {
   const mappedIndex = mapIndexNameForSymbol(indexName);
-  const expiryType = EXPIRY_TYPES[mappedIndex] || 'weekly';
+  const calendarDate = marketClock.toISTCalendarDate(currentDate);
+  const isAfterClose = marketClock.getISTMinutesOfDay(currentDate) >= marketClock.MARKET_CLOSE_MINUTES;
 
-  if (expiryType === 'weekly') {
-    return getNextWeeklyExpiry(currentDate, mappedIndex);
-  } else {
-    return getNextMonthlyExpiry(currentDate, mappedIndex);
-  }
+  return findNextExpiry(mappedIndex, calendarDate, isAfterClose).expiryDate;
+}
+
+/**
+ * Month-end expiry of an index for a month (used for symbols that carry no expiry day)
+ */
+function getMonthlyExpiryDate(indexName, year, month) {
+  const rule = instrumentRegistry.getExpiryRuleForDate(indexName, formatDate(new Date(year, month + 1, 0)));
+  return adjustForHoliday(getLastWeekdayInMonth(year, month, rule.weekday), getExchangeForIndex(indexName));
 }
 
 /**
- * Format expiry date for symbol
+ * Format expiry date for symbol, in the layout of the expiry rule in effect on that date
  */
-function formatExpiryForSymbol(expiryDate, expiryType, indexName = '') {
+function formatExpiryForSymbol(expiryDate, indexName = '') {
+  const { symbolFormat } = instrumentRegistry.getExpiryRuleForDate(indexName, formatDate(expiryDate));
   const year = expiryDate.getFullYear().toString().slice(-2);
+  const monthNames = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+  const day = expiryDate.getDate().toString().padStart(2, '0');
   
-  if (indexName === 'BANKNIFTY') {
-    // BANKNIFTY: YYMMM (no day)
-    const monthNames = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
-    const month = monthNames[expiryDate.getMonth()];
-    return `${year}${month}`;
+  if (symbolFormat === 'YYMMM') {
+    // YYMMM, no day (25JUN for June 2025)
+    return `${year}${monthNames[expiryDate.getMonth()]}`;
   }
   
-  if (expiryType === 'weekly') {
-    // Weekly: YYMDD (25619 for 19th June 2025)
-    const month = (expiryDate.getMonth() + 1).toString();
-    const day = expiryDate.getDate().toString().padStart(2, '0');
-    return `${year}${month}${day}`;
-  } else {
-    // Monthly: YYMMMDD (25JUN19 for 19th June 2025)
-    const monthNames = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
-    const month = monthNames[expiryDate.getMonth()];
-    const day = expiryDate.getDate().toString().padStart(2, '0');
-    return `${year}${month}${day}`;
+  if (symbolFormat === 'YYMMMDD') {
+    // YYMMMDD (25JUN19 for 19th June 2025)
+    return `${year}${monthNames[expiryDate.getMonth()]}${day}`;
   }
+  
+  // YYMDD (25619 for 19th June 2025)
+  const month = (expiryDate.getMonth() + 1).toString();
+  return `${year}${month}${day}`;
 }
 
 /**
@@ -268,43 +211,44 @@ function getNearestStrike(currentPrice, strikeInterval) {
 }
 
 /**
- * Get ATM (At The Money) strike based on market open price
+ * Get ATM (At The Money) strike based on market open price, rounded to the index's strike interval
  */
 function getATMStrike(indexName, openPrice) {
-  const mappedIndex = mapIndexNameForSymbol(indexName);
-  const interval = STRIKE_INTERVALS[mappedIndex] || 50;
-  
-  // Handle null/undefined openPrice with fallback values
-  if (!openPrice || isNaN(openPrice)) {
-    console.log(`⚠️ Invalid openPrice (${openPrice}) for ${mappedIndex}, using fallback strike`);
-    const fallbackStrikes = {
-      'NIFTY': 24800,
-      'BANKNIFTY': 55600,
-      'SENSEX': 81400
-    };
-    const fallbackPrice = fallbackStrikes[mappedIndex] || 25000;
-    console.log(`📊 Using fallback open price ${fallbackPrice} for ${mappedIndex}`);
-    return getNearestStrike(fallbackPrice, interval);
+  const instrument = requireInstrument(indexName);
+  const price = parseFloat(openPrice);
+  
+  if (!(price > 0)) {
+    throw new Error(`A valid price is required to find the ATM strike for ${instrument.key} (got ${openPrice})`);
   }
   
-  return getNearestStrike(openPrice, interval);
+  return getNearestStrike(price, instrument.strikeInterval);
 }
 
 /**
  * Create option symbol
  */
-function createOptionSymbol(indexName, strike, optionType, openPrice = null, currentDate = new Date()) {
+function createOptionSymbol(indexName, strike, optionType, openPrice = null, currentDate = marketClock.now()) {
   try {
-    const mappedIndex = mapIndexNameForSymbol(indexName);
-    const exchange = EXCHANGES[mappedIndex] || 'NSE';
-    const baseSymbol = BASE_SYMBOLS[mappedIndex] || mappedIndex;
+    const instrument = requireInstrument(indexName);
+    const mappedIndex = instrument.key;
+    const { exchange, optionRoot: baseSymbol } = instrument;
     
-    // Get expiry type and date
-    const expiryType = EXPIRY_TYPES[mappedIndex] || 'weekly';
+    // Get expiry date from the index's expiry rules
     const expiryDate = getNextExpiryDate(mappedIndex, currentDate);
-    const expiryStr = formatExpiryForSymbol(expiryDate, expiryType, mappedIndex);
+    const expiryStr = formatExpiryForSymbol(expiryDate, mappedIndex);
     const expiryDisplay = formatDate(expiryDate);
     
+    // The symbol master only lists live contracts, so it is used for dates from its first listed expiry on
+    // (real ticker and lot size, unlisted strikes rejected); earlier dates keep the rule-calculated contract
+    const listedExpiries = symbolMasterService.getExpiries(baseSymbol);
+    if (listedExpiries.length > 0 && marketClock.getISTDateKey(currentDate) >= listedExpiries[0]) {
+      const listed = getListedOptionSymbol(mappedIndex, baseSymbol, strike, optionType, expiryDisplay, currentDate);
+      if (!listed) {
+        console.warn(`⚠️ ${mappedIndex} ${strike} ${optionType} is not listed in the symbol master`);
+      }
+      return listed;
+    }
+    
     // Format: NSE:NIFTY25619PE24500
     const symbol = `${exchange}:${baseSymbol}${expiryStr}${optionType}${strike}`;
     
@@ -315,7 +259,9 @@ function createOptionSymbol(indexName, strike, optionType, openPrice = null, cur
       expiryDisplay,
       optionType,
       indexName: mappedIndex,
-      exchange
+      exchange,
+      lotSize: instrumentRegistry.getLotSize(instrument, marketClock.getISTDateKey(currentDate)),
+      tickSize: instrument.tickSize
     };
   } catch (error) {
     console.error(`Error creating option symbol for ${indexName}:`, error);
@@ -323,13 +269,159 @@ function createOptionSymbol(indexName, strike, optionType, openPrice = null, cur
   }
 }
 
+// Month codes used in option symbols
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const WEEKLY_MONTH_CODES = ['1', '2', '3', '4', '5', '6', '7', '8', '9', 'O', 'N', 'D'];
+
+// Option symbol layouts after the underlying: the ones createOptionSymbol emits (type before strike) and Fyers tickers (type last)
+const OPTION_SYMBOL_PATTERNS = [
+  // NIFTY25619PE24500 / NIFTY251023CE24500 (weekly YYMDD)
+  { regex: /^(\d{2})(1[0-2]|[1-9])(\d{2})(CE|PE)(\d+(?:\.\d+)?)$/, expiryType: 'weekly', parts: ['year', 'month', 'day', 'optionType', 'strike'] },
+  // NIFTY25JUN19CE24500 (monthly YYMMMDD)
+  { regex: /^(\d{2})([A-Z]{3})(\d{2})(CE|PE)(\d+(?:\.\d+)?)$/, expiryType: 'monthly', parts: ['year', 'monthName', 'day', 'optionType', 'strike'] },
+  // BANKNIFTY25JUNCE55600 (monthly YYMMM)
+  { regex: /^(\d{2})([A-Z]{3})(CE|PE)(\d+(?:\.\d+)?)$/, expiryType: 'monthly', parts: ['year', 'monthName', 'optionType', 'strike'] },
+  // Fyers weekly ticker NIFTY2561924500CE / NIFTY25O2324500CE (YY + 1-9/O/N/D + DD)
+  { regex: /^(\d{2})([1-9OND])(\d{2})(\d+(?:\.\d+)?)(CE|PE)$/, expiryType: 'weekly', parts: ['year', 'monthCode', 'day', 'strike', 'optionType'] },
+  // Fyers monthly ticker NIFTY25JUN24650CE (YYMMM)
+  { regex: /^(\d{2})([A-Z]{3})(\d+(?:\.\d+)?)(CE|PE)$/, expiryType: 'monthly', parts: ['year', 'monthName', 'strike', 'optionType'] }
+];
+
+/**
+ * Split a ticker into its underlying and the rest. Registry option roots can end in digits (NIFTYNXT50),
+ * so they are tried first (longest match); other underlyings are the leading letters.
+ */
+function splitOptionTicker(ticker) {
+  const root = instrumentRegistry.getInstruments()
+    .map(instrument => instrument.optionRoot)
+    .filter(optionRoot => ticker.startsWith(optionRoot) && /^\d/.test(ticker.slice(optionRoot.length)))
+    .sort((a, b) => b.length - a.length)[0];
+  const underlying = root || (/^[A-Z]+(?=\d)/.exec(ticker) || [])[0];
+  
+  return underlying ? { underlying, rest: ticker.slice(underlying.length) } : null;
+}
+
+/**
+ * Parse an option symbol into its contract details (the inverse of createOptionSymbol).
+ * Returns null when the symbol is not an option. Symbols without a day (YYMMM) expire on the
+ * month's expiry day; listed symbols take their details from the symbol master.
+ */
+function parseOptionSymbol(symbol) {
+  const [exchange, ticker] = String(symbol || '').split(':');
+  const split = ticker && ['NSE', 'BSE'].includes(exchange) ? splitOptionTicker(ticker) : null;
+  if (!split) {
+    return null;
+  }
+  
+  const { underlying, rest } = split;
+  for (const pattern of OPTION_SYMBOL_PATTERNS) {
+    const match = pattern.regex.exec(rest);
+    if (!match) {
+      continue;
+    }
+    
+    const parts = {};
+    pattern.parts.forEach((name, i) => {
+      parts[name] = match[i + 1];
+    });
+    
+    const year = 2000 + parseInt(parts.year, 10);
+    let month;
+    if (parts.monthName) {
+      month = MONTH_NAMES.indexOf(parts.monthName);
+    } else if (parts.monthCode) {
+      month = WEEKLY_MONTH_CODES.indexOf(parts.monthCode);
+    } else {
+      month = parseInt(parts.month, 10) - 1;
+    }
+    if (month < 0) {
+      continue;
+    }
+    
+    let expiryDate;
+    const listed = symbolMasterService.getInstrument(symbol);
+    if (listed && listed.expiry) {
+      expiryDate = listed.expiry;
+    } else if (parts.day) {
+      const day = parseInt(parts.day, 10);
+      const date = new Date(year, month, day);
+      if (date.getMonth() !== month || date.getDate() !== day) {
+        continue;
+      }
+      expiryDate = formatDate(date);
+    } else {
+      expiryDate = formatDate(getMonthlyExpiryDate(underlying, year, month));
+    }
+    
+    return {
+      exchange,
+      underlying,
+      expiryDate,
+      strike: parseFloat(parts.strike),
+      optionType: parts.optionType,
+      expiryType: pattern.expiryType
+    };
+  }
+  
+  return null;
+}
+
+/**
+ * Registry index of an index quote symbol or option symbol (null when it is neither)
+ */
+function getIndexForSymbol(symbol) {
+  const instrument = instrumentRegistry.getInstruments().find(entry => entry.quoteSymbol === symbol);
+  if (instrument) {
+    return instrument.key;
+  }
+
+  const parsed = parseOptionSymbol(symbol);
+  const underlying = parsed ? instrumentRegistry.getInstrument(parsed.underlying) : null;
+  return underlying ? underlying.key : null;
+}
+
+/**
+ * Option symbol from the symbol master (null if the contract is not listed). Uses the calculated
+ * expiry when it is listed, otherwise the first listed expiry on or after currentDate.
+ */
+function getListedOptionSymbol(indexName, baseSymbol, strike, optionType, calculatedExpiry, currentDate) {
+  const expiries = symbolMasterService.getExpiries(baseSymbol);
+  const fromKey = marketClock.getISTDateKey(currentDate);
+  const expiry = expiries.includes(calculatedExpiry)
+    ? calculatedExpiry
+    : expiries.find(listedExpiry => listedExpiry >= fromKey);
+  
+  const contract = expiry ? symbolMasterService.findOption(baseSymbol, expiry, strike, optionType) : null;
+  if (!contract) {
+    return null;
+  }
+  
+  const [year, month, day] = expiry.split('-').map(Number);
+  
+  return {
+    symbol: contract.symbol,
+    strike,
+    expiry: formatExpiryForSymbol(new Date(year, month - 1, day), indexName),
+    expiryDisplay: expiry,
+    optionType,
+    indexName,
+    exchange: contract.exchange,
+    lotSize: contract.lotSize,
+    tickSize: contract.tickSize
+  };
+}
+
 /**
  * Generate strike symbols for CE and PE options
  */
 function generateStrikeSymbols(indexType, openPrice, expiryDate) {
-  const mappedIndex = mapIndexNameForSymbol(indexType);
+  const instrument = requireInstrument(indexType);
+  const mappedIndex = instrument.key;
   const atmStrike = getATMStrike(mappedIndex, openPrice);
-  const interval = STRIKE_INTERVALS[mappedIndex] || 50;
+  const interval = instrument.strikeInterval;
+  
+  // Strikes the symbol master does not list, reported instead of silently leaving gaps in the ladder
+  const unlistedStrikes = [];
   
   // Generate 5 strikes above and below ATM
   const strikes = [];
@@ -350,14 +442,20 @@ function generateStrikeSymbols(indexType, openPrice, expiryDate) {
       expiryDate ? new Date(expiryDate) : undefined
     );
     
-    if (!symbolInfo) return null;
+    if (!symbolInfo) {
+      unlistedStrikes.push({ strike, optionType: 'CE', type, level });
+      return null;
+    }
     
     return {
       label: `${strike} CE (${type})`,
       symbol: symbolInfo.symbol,
       strike,
       type,
-      level
+      level,
+      expiry: symbolInfo.expiryDisplay,
+      lotSize: symbolInfo.lotSize,
+      tickSize: symbolInfo.tickSize
     };
   }).filter(Boolean);
   
@@ -374,14 +472,20 @@ function generateStrikeSymbols(indexType, openPrice, expiryDate) {
       expiryDate ? new Date(expiryDate) : undefined
     );
     
-    if (!symbolInfo) return null;
+    if (!symbolInfo) {
+      unlistedStrikes.push({ strike, optionType: 'PE', type, level });
+      return null;
+    }
     
     return {
       label: `${strike} PE (${type})`,
       symbol: symbolInfo.symbol,
       strike,
       type,
-      level
+      level,
+      expiry: symbolInfo.expiryDisplay,
+      lotSize: symbolInfo.lotSize,
+      tickSize: symbolInfo.tickSize
     };
   }).filter(Boolean);
   
@@ -389,29 +493,34 @@ function generateStrikeSymbols(indexType, openPrice, expiryDate) {
     ce: ceSymbols,
     pe: peSymbols,
     atmStrike,
-    openPrice
+    openPrice,
+    unlistedStrikes
   };
 }
 
 /**
- * Get available expiry dates
+ * Get available expiry dates: the next 3 expiries plus the month-end expiry if not among them
  */
 function getAvailableExpiryDates(indexType) {
   const mappedIndex = mapIndexNameForSymbol(indexType);
-  const now = new Date();
+  const now = marketClock.now();
+  const calendarDate = marketClock.toISTCalendarDate(now);
+  const isAfterClose = marketClock.getISTMinutesOfDay(now) >= marketClock.MARKET_CLOSE_MINUTES;
   const dates = [];
   
-  // Add weekly expiries for the next 3 weeks
+  // Step from each expiry to the day after it for the following one
+  let fromDate = calendarDate;
+  let afterClose = isAfterClose;
   for (let i = 0; i < 3; i++) {
-    const date = new Date(now);
-    date.setDate(date.getDate() + (i * 7));
-    const expiry = getNextExpiryDate(mappedIndex, date);
-    dates.push(formatDate(expiry));
+    const { expiryDate } = findNextExpiry(mappedIndex, fromDate, afterClose);
+    dates.push(formatDate(expiryDate));
+    fromDate = new Date(expiryDate);
+    fromDate.setDate(fromDate.getDate() + 1);
+    afterClose = false;
   }
   
   // Add monthly expiry if not already included
-  const monthlyExpiry = getNextMonthlyExpiry(now, mappedIndex);
-  const monthlyExpiryStr = formatDate(monthlyExpiry);
+  const monthlyExpiryStr = formatDate(findNextExpiry(mappedIndex, calendarDate, isAfterClose, 'monthly').expiryDate);
   
   if (!dates.includes(monthlyExpiryStr)) {
     dates.push(monthlyExpiryStr);
@@ -424,81 +533,106 @@ function getAvailableExpiryDates(indexType) {
  * Should show expiry selection
  */
 function shouldShowExpirySelection(indexType) {
-  // Only show expiry selection for indices that have multiple expiry options
-  const mappedIndex = mapIndexNameForSymbol(indexType);
-  return ['NIFTY', 'BANKNIFTY', 'SENSEX'].includes(mappedIndex);
+  // Every registry index lists several expiries (weekly or monthly contracts)
+  return instrumentRegistry.getInstrument(indexType) !== null;
 }
 
 /**
- * Get expiry dates for all indices
+ * Get the next expiry date of every registry index, keyed by lowercase index name
  */
 function getExpiryDates() {
-  const now = new Date();
+  const now = marketClock.now();
   
-  return {
-    nifty: formatDate(getNextExpiryDate('NIFTY', now)),
-    banknifty: formatDate(getNextExpiryDate('BANKNIFTY', now)),
-    sensex: formatDate(getNextExpiryDate('SENSEX', now))
-  };
+  return Object.fromEntries(instrumentRegistry.getInstruments().map(instrument => [
+    instrument.key.toLowerCase(),
+    formatDate(getNextExpiryDate(instrument.key, now))
+  ]));
 }
 
 /**
- * Get expiry for a specific index
+ * Get the next expiry (YYYY-MM-DD) for a specific index as of a date
  */
-function getExpiryForIndex(index) {
-  return formatDate(getNextExpiryDate(index));
+function getExpiryForIndex(index, date = marketClock.now()) {
+  return formatDate(getNextExpiryDate(index, date));
 }
 
 /**
- * Get index config
+ * Get the quote symbol of an index (e.g. NSE:NIFTY50-INDEX)
  */
-function getIndexConfig(indexName) {
-  return INDEX_CONFIGS[indexName];
+function getIndexQuoteSymbol(indexName) {
+  const instrument = instrumentRegistry.getInstrument(indexName);
+  return instrument ? instrument.quoteSymbol : null;
+}
+
+/**
+ * Get index config: registry entry with the lot size and expiry rule in effect on a date
+ */
+function getIndexConfig(indexName, date = marketClock.now()) {
+  const instrument = instrumentRegistry.getInstrument(indexName);
+  if (!instrument) {
+    return undefined;
+  }
+  
+  const dateKey = marketClock.getISTDateKey(date);
+  return {
+    index: instrument.key,
+    name: instrument.name,
+    aliases: instrument.aliases,
+    exchange: instrument.exchange,
+    symbol: instrument.quoteSymbol,
+    optionRoot: instrument.optionRoot,
+    lotSize: instrumentRegistry.getLotSize(instrument, dateKey),
+    tickSize: instrument.tickSize,
+    strikeInterval: instrument.strikeInterval,
+    expiryRule: instrumentRegistry.describeExpiryRules([instrumentRegistry.getExpiryRuleForDate(instrument.key, dateKey)])[0],
+    lotSizes: instrument.lotSizes,
+    expiryRules: instrumentRegistry.describeExpiryRules(instrument.expiryRules)
+  };
 }
 
 /**
  * Get all index configs
  */
-function getAllIndexConfigs() {
-  return Object.values(INDEX_CONFIGS);
+function getAllIndexConfigs(date = marketClock.now()) {
+  return instrumentRegistry.getInstruments().map(instrument => getIndexConfig(instrument.key, date));
 }
 
 /**
  * Get index names
  */
 function getIndexNames() {
-  return Object.keys(INDEX_CONFIGS);
+  return instrumentRegistry.getInstruments().map(instrument => instrument.key);
 }
 
 /**
- * Calculate quantity from lots
+ * Calculate quantity from lots, using the lot size in effect on a date (defaults to today)
  */
-function calculateQuantityFromLots(indexName, lots) {
-  const config = getIndexConfig(indexName);
-  if (!config) {
-    throw new Error(`Index configuration not found for: ${indexName}`);
-  }
-  return lots * config.lotSize;
+function calculateQuantityFromLots(indexName, lots, date = marketClock.now()) {
+  const instrument = requireInstrument(indexName);
+  return lots * instrumentRegistry.getLotSize(instrument, marketClock.getISTDateKey(date));
 }
 
 /**
- * Calculate lots from quantity
+ * Calculate lots from quantity, using the lot size in effect on a date (defaults to today)
  */
-function calculateLotsFromQuantity(indexName, quantity) {
-  const config = getIndexConfig(indexName);
-  if (!config) {
-    throw new Error(`Index configuration not found for: ${indexName}`);
-  }
-  return Math.floor(quantity / config.lotSize);
+function calculateLotsFromQuantity(indexName, quantity, date = marketClock.now()) {
+  const instrument = requireInstrument(indexName);
+  return Math.floor(quantity / instrumentRegistry.getLotSize(instrument, marketClock.getISTDateKey(date)));
 }
 
 module.exports = {
+  isHoliday,
+  getExchangeForIndex,
   getIndexConfig,
   getAllIndexConfigs,
   getIndexNames,
   calculateQuantityFromLots,
   calculateLotsFromQuantity,
+  createOptionSymbol,
+  parseOptionSymbol,
+  getIndexForSymbol,
   generateStrikeSymbols,
+  getIndexQuoteSymbol,
   getAvailableExpiryDates,
   shouldShowExpirySelection,
   getExpiryDates,
@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { RollingWMA, StreamingHMA } = require('../hmaCalculator');
+const optionFixture = require('./fixtures/option-candles-5m.json');
+const recordedFixture = require('./fixtures/sp500-daily-2008.json');
+
+// Generated 5-minute option candles, and a recorded index series (real gaps and the 2008 volatility)
+const fixtures = [
+  { name: 'option candles', fixture: optionFixture },
+  { name: 'recorded S&P 500 candles', fixture: recordedFixture }
+];
+
+const closes = optionFixture.candles.map(candle => candle[4]);
+
+// Batch HMA that hmaService used before the streaming calculator (Pine Script logic), kept as the reference
+function calculateWMA(data, index, period) {
+  if (index < period - 1) return 0;
+
+  let wma = 0;
+  let weightSum = 0;
+  for (let i = 0; i < period; i++) {
+    const weight = period - i;
+    wma += data[index - i] * weight;
+    weightSum += weight;
+  }
+  return wma / weightSum;
+}
+
+function calculateHMAForPoint(data, index, period) {
+  if (index < period - 1) return 0;
+
+  const halfPeriod = Math.floor(period / 2);
+  const sqrtPeriod = Math.floor(Math.sqrt(period));
+  const rawHma = 2 * calculateWMA(data, index, halfPeriod) - calculateWMA(data, index, period);
+
+  if (index < period + sqrtPeriod - 2) return rawHma;
+
+  let finalHma = 0;
+  let weightSum = 0;
+  for (let i = 0; i < sqrtPeriod; i++) {
+    const pos = index - i;
+    if (pos - (period - 1) < 0) continue;
+
+    const rawValue = 2 * calculateWMA(data, pos, halfPeriod) - calculateWMA(data, pos, period);
+    const weight = sqrtPeriod - i;
+    finalHma += rawValue * weight;
+    weightSum += weight;
+  }
+  return finalHma / weightSum;
+}
+
+function referenceHMA(data, period) {
+  return data.map((value, index) => calculateHMAForPoint(data, index, period));
+}
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} !== ${expected}`);
+}
+
+test('fixtures cover several sessions of candles', () => {
+  assert.strictEqual(optionFixture.resolution, '5');
+  assert.strictEqual(closes.length, 225);
+  assert.strictEqual(recordedFixture.candles.length, 273);
+});
+
+for (const { name, fixture } of fixtures) {
+  const fixtureCloses = fixture.candles.map(candle => candle[4]);
+
+  for (const period of [9, 16, 21, 55]) {
+    test(`streaming HMA-${period} matches the batch implementation on every candle (${name})`, () => {
+      const expected = referenceHMA(fixtureCloses, period);
+      const calculator = new StreamingHMA(period);
+
+      fixtureCloses.forEach((close, index) => {
+        assertClose(calculator.push(close), expected[index], `candle ${index}`);
+      });
+      assertClose(calculator.value, expected[expected.length - 1], 'current HMA');
+    });
+
+    test(`streaming HMA-${period} updateLast matches recomputing the in-progress candle (${name})`, () => {
+      const calculator = new StreamingHMA(period);
+
+      fixture.candles.forEach(([, open, high, low, close], index) => {
+        const history = fixtureCloses.slice(0, index);
+
+        // The candle opens, trades through its high and low, then closes
+        calculator.push(open);
+        for (const price of [high, low, close]) {
+          const value = calculator.updateLast(price);
+          assertClose(value, referenceHMA([...history, price], period)[index], `candle ${index} at ${price}`);
+        }
+      });
+    });
+  }
+}
+
+test('rolling WMA stays exact over long series (periodic reseed)', () => {
+  const period = 55;
+  const wma = new RollingWMA(period);
+  const series = Array.from({ length: 20 }, () => closes).flat();
+
+  series.forEach((value, index) => {
+    const result = wma.push(value);
+    if (index >= period - 1 && index % 97 === 0) {
+      assertClose(result, calculateWMA(series, index, period), `value ${index}`);
+    }
+  });
+});
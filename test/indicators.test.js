@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const indicatorService = require('../indicatorService');
+
+// Candles from closes (high/low one point either side unless given), 5 minutes apart
+function toCandles(rows) {
+  return rows.map((row, index) => {
+    const [high, low, close] = Array.isArray(row) ? row : [row + 1, row - 1, row];
+    return { timestamp: 1749700000 + index * 300, open: close, high, low, close, volume: 10 };
+  });
+}
+
+function assertSeries(actual, expected, tolerance, message) {
+  assert.strictEqual(actual.length, expected.length, `${message}: length`);
+  expected.forEach((value, index) => {
+    if (value === null) {
+      assert.strictEqual(actual[index], null, `${message} [${index}]`);
+    } else {
+      assert.ok(Math.abs(actual[index] - value) <= tolerance, `${message} [${index}]: ${actual[index]} !== ${value}`);
+    }
+  });
+}
+
+test('EMA is seeded with the SMA of the first period (StockCharts 10-day EMA example)', () => {
+  const closes = [22.27, 22.19, 22.08, 22.17, 22.18, 22.13, 22.23, 22.43, 22.24, 22.29, 22.15, 22.39, 22.38, 22.61, 23.36,
+    24.05, 23.75, 23.83, 23.95, 23.63, 23.82, 23.87, 23.65, 23.19, 23.10, 23.33, 22.68, 23.10, 22.40, 22.17];
+  const expected = [...new Array(9).fill(null), 22.22, 22.21, 22.24, 22.27, 22.33, 22.52, 22.80, 22.97, 23.13, 23.28, 23.34,
+    23.43, 23.51, 23.53, 23.47, 23.40, 23.39, 23.26, 23.23, 23.08, 22.92];
+
+  const candles = toCandles(closes);
+  assertSeries(indicatorService.calculateEMA(candles, 10), expected, 0.005, 'EMA-10');
+  assert.strictEqual(indicatorService.calculateEMA(candles, 10)[9], indicatorService.calculateSMA(candles, 10)[9]);
+});
+
+test('RSI uses Wilder smoothing (StockCharts 14-day RSI example)', () => {
+  const closes = [44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08, 45.89, 46.03, 45.61, 46.28, 46.28,
+    46.00, 46.03, 46.41, 46.22, 45.64, 46.21, 46.25, 45.71, 46.45, 45.78, 45.35, 44.03, 44.18, 44.22, 44.57, 43.42, 42.66, 43.13];
+  // Unrounded averages; the published table rounds them and shows 70.53 for the first value
+  const expected = [...new Array(14).fill(null), 70.46, 66.25, 66.48, 69.35, 66.29, 57.92, 62.88, 63.21, 56.01, 62.34, 54.67,
+    50.39, 40.02, 41.49, 41.90, 45.50, 37.32, 33.09, 37.79];
+
+  assertSeries(indicatorService.calculateRSI(toCandles(closes), 14), expected, 0.005, 'RSI-14');
+});
+
+test('RSI is 100 without losses', () => {
+  const rsi = indicatorService.calculateRSI(toCandles([1, 2, 3, 4, 5]), 3);
+  assert.deepStrictEqual(rsi, [null, null, null, 100, 100]);
+});
+
+test('ATR averages true ranges with Wilder smoothing, gaps included', () => {
+  const candles = toCandles([
+    [12, 10, 11], // TR 2
+    [13, 11, 12], // TR 2
+    [15, 12, 14], // TR 3, seed ATR = 7/3
+    [14, 11, 11.5], // TR 3 (low to previous close), ATR = (2 * 7/3 + 3) / 3
+    [20, 18, 19] // gap up: TR 8.5 (high to previous close)
+  ]);
+
+  assertSeries(indicatorService.calculateATR(candles, 3), [null, null, 7 / 3, 23 / 9, 122.5 / 27], 1e-12, 'ATR-3');
+});
+
+test('SuperTrend flips up on a close above the upper band and down on a close below the lower band', () => {
+  const closes = [100, 101, 100, 101, 100, 101, 104, 108, 112, 116, 118, 119, 117, 112, 106, 100, 97, 95];
+  const { values, directions } = indicatorService.calculateSuperTrend(toCandles(closes), 3, 1);
+
+  assert.deepStrictEqual(directions, [null, null, 'DOWN', 'DOWN', 'DOWN', 'DOWN', 'UP', 'UP', 'UP', 'UP', 'UP', 'UP', 'UP',
+    'DOWN', 'DOWN', 'DOWN', 'DOWN', 'DOWN']);
+
+  // Starts down on the upper band (hl2 100 + ATR 2), which holds while price ranges below it
+  assertSeries(values.slice(0, 6), [null, null, 102, 102, 102, 102], 1e-12, 'upper band');
+  // Close 104 breaks the 102 band: the line moves to the lower band (hl2 104 - ATR 8/3)
+  assert.ok(Math.abs(values[6] - (104 - 8 / 3)) < 1e-12);
+  // The line stays below closes while up and above them while down
+  directions.forEach((direction, index) => {
+    if (direction === 'UP') assert.ok(values[index] < closes[index], `UP line at ${index}`);
+    if (direction === 'DOWN') assert.ok(values[index] > closes[index], `DOWN line at ${index}`);
+  });
+  // The trailing lower band never falls while the trend is up
+  for (let i = 7; i <= 12; i++) {
+    assert.ok(values[i] >= values[i - 1], `lower band at ${i}`);
+  }
+});
+
+test('VWAP restarts each IST session and is null without volume', () => {
+  const session = (dateSeconds, closes, volume) => closes.map((close, index) => ({
+    timestamp: dateSeconds + index * 300, open: close, high: close + 3, low: close - 3, close, volume
+  }));
+  // 2025-06-12 and 2025-06-13 09:15 IST
+  const candles = [...session(1749699900, [100, 110], 10), ...session(1749786300, [200, 210], 30)];
+
+  assertSeries(indicatorService.calculateVWAP(candles), [100, 105, 200, 205], 1e-12, 'VWAP');
+  assert.deepStrictEqual(indicatorService.calculateVWAP(session(1749699900, [100], 0)), [null]);
+});
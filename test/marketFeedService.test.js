@@ -0,0 +1,140 @@
+const { test, after, mock } = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+const feedConnectors = require('../feedConnectors');
+const marketFeedService = require('../marketFeedService');
+
+// Keep service logs out of the test output (emoji on stdout also trips up the Node 20 test runner)
+mock.method(console, 'log', () => {});
+
+// Local fake feed: records what each client sends and can push ticks or drop connections
+function startFakeFeed(port = 0) {
+  const server = new WebSocket.Server({ port, host: '127.0.0.1' });
+  const feed = { server, clients: [], messages: [] };
+
+  server.on('connection', socket => {
+    feed.clients.push(socket);
+    socket.on('message', data => feed.messages.push(JSON.parse(data.toString())));
+  });
+
+  return new Promise(resolve => server.on('listening', () => {
+    feed.url = `ws://127.0.0.1:${server.address().port}`;
+    resolve(feed);
+  }));
+}
+
+function stopFakeFeed(feed) {
+  feed.clients.forEach(socket => socket.terminate());
+  return new Promise(resolve => feed.server.close(resolve));
+}
+
+// Poll until a condition holds (the feed is asynchronous end to end)
+async function waitFor(condition, timeoutMs = 5000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) {
+      throw new Error('Timed out waiting for the market feed');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+function sendTick(feed, symbol, ltp) {
+  feed.clients[feed.clients.length - 1].send(JSON.stringify({ symbol, ltp, last_traded_time: 1750000000 }));
+}
+
+const connectAttempts = [];
+let feed;
+let unsubscribeA;
+
+after(async () => {
+  marketFeedService.setConnectorFactory(null);
+  if (feed) {
+    await stopFakeFeed(feed);
+  }
+});
+
+test('subscribes listened symbols once connected and fans ticks out per symbol', async () => {
+  feed = await startFakeFeed();
+  marketFeedService.setConnectorFactory(() => {
+    const connector = feedConnectors.createWebSocketConnector(feed.url);
+    const connect = connector.connect;
+    connector.connect = () => {
+      connectAttempts.push(Date.now());
+      connect();
+    };
+    return connector;
+  });
+
+  const ticksA = [];
+  const ticksB = [];
+  unsubscribeA = marketFeedService.subscribe(['NSE:AAA'], tick => ticksA.push(tick));
+  const unsubscribeB = marketFeedService.subscribe(['NSE:AAA', 'NSE:BBB'], tick => ticksB.push(tick));
+
+  // No connection until the login or monitoring path provides a token
+  assert.strictEqual(marketFeedService.getStatus().status, 'DISCONNECTED');
+  marketFeedService.setAccessToken('APPID:token');
+
+  await waitFor(() => feed.messages.length > 0);
+  assert.deepStrictEqual(feed.messages[0], { type: 'subscribe', symbols: ['NSE:AAA', 'NSE:BBB'] });
+  assert.strictEqual(marketFeedService.getStatus().status, 'CONNECTED');
+
+  sendTick(feed, 'NSE:AAA', 101.5);
+  sendTick(feed, 'NSE:BBB', 55);
+  await waitFor(() => ticksB.length === 2);
+
+  assert.deepStrictEqual(ticksA.map(tick => [tick.symbol, tick.ltp]), [['NSE:AAA', 101.5]]);
+  assert.deepStrictEqual(ticksB.map(tick => [tick.symbol, tick.ltp]), [['NSE:AAA', 101.5], ['NSE:BBB', 55]]);
+  assert.strictEqual(marketFeedService.getLatestTick('NSE:AAA').ltp, 101.5);
+
+  // BBB loses its only listener and is unsubscribed on the socket; AAA keeps listener A
+  unsubscribeB();
+  await waitFor(() => feed.messages.length === 2);
+  assert.deepStrictEqual(feed.messages[1], { type: 'unsubscribe', symbols: ['NSE:BBB'] });
+  assert.deepStrictEqual(marketFeedService.getStatus().symbols, ['NSE:AAA']);
+
+  sendTick(feed, 'NSE:AAA', 102);
+  await waitFor(() => ticksA.length === 2);
+  assert.strictEqual(ticksB.length, 2);
+});
+
+test('reconnects with exponential backoff and resubscribes', async () => {
+  const random = Math.random;
+  Math.random = () => 0.5; // no jitter: delays are exactly 1s, 2s, ...
+
+  try {
+    // Drop the connection: the first retry waits the initial delay and resubscribes
+    const dropAt = Date.now();
+    const attemptsBefore = connectAttempts.length;
+    feed.messages.length = 0;
+    feed.clients.forEach(socket => socket.terminate());
+
+    await waitFor(() => marketFeedService.getStatus().status === 'RECONNECTING');
+    await waitFor(() => feed.messages.length > 0);
+    assert.ok(connectAttempts[attemptsBefore] - dropAt >= 1000 - 50);
+    assert.deepStrictEqual(feed.messages[0], { type: 'subscribe', symbols: ['NSE:AAA'] });
+    assert.strictEqual(marketFeedService.getStatus().reconnectAttempts, 0);
+
+    // With the server gone every failed attempt doubles the wait
+    const port = feed.server.address().port;
+    await stopFakeFeed(feed);
+    const failedFrom = connectAttempts.length;
+    await waitFor(() => connectAttempts.length >= failedFrom + 2, 6000);
+
+    const firstDelay = connectAttempts[failedFrom + 1] - connectAttempts[failedFrom];
+    assert.ok(firstDelay >= 2000 - 50 && firstDelay < 3000, `second retry after ${firstDelay}ms`);
+    assert.ok(marketFeedService.getStatus().reconnectAttempts >= 2);
+
+    // Back up: the next attempt connects and resubscribes
+    feed = await startFakeFeed(port);
+    await waitFor(() => feed.messages.length > 0, 8000);
+    assert.deepStrictEqual(feed.messages[0], { type: 'subscribe', symbols: ['NSE:AAA'] });
+    assert.strictEqual(marketFeedService.getStatus().status, 'CONNECTED');
+  } finally {
+    Math.random = random;
+  }
+
+  // Last listener gone: the connection is closed and no retries are left behind
+  unsubscribeA();
+  assert.strictEqual(marketFeedService.getStatus().status, 'DISCONNECTED');
+});
@@ -0,0 +1,107 @@
+const { test, afterEach, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const exitManagerService = require('../exitManagerService');
+const hmaService = require('../hmaService');
+const marketClock = require('../marketClock');
+const symbolService = require('../symbolService');
+const tradeLogService = require('../tradeLogService');
+const tradingStateService = require('../tradingStateService');
+
+// npm test runs this file under TZ=UTC and TZ=Asia/Kolkata; every expectation below is the
+// same in both, so market-time results never depend on the server timezone.
+
+// Keep service logs out of the test output (emoji on stdout also trips up the Node 20 test runner)
+mock.method(console, 'log', () => {});
+
+const TEST_USER = 'timezone_test';
+const TEST_STATE_FILE = path.join(__dirname, '..', 'data', `trading_state_${TEST_USER}.json`);
+
+// IST wall-clock time (month is 1-based here for readability)
+const ist = (year, month, day, hours = 0, minutes = 0) => marketClock.fromISTDateTime(year, month - 1, day, hours, minutes);
+
+afterEach(() => marketClock.resetClock());
+
+after(() => fs.rm(TEST_STATE_FILE, { force: true }));
+
+test('candle filter keeps the 09:15-15:30 IST session', () => {
+  const times = [[9, 10], [9, 15], [12, 0], [15, 25], [15, 30], [15, 35]];
+  const raw = times.map(([hours, minutes]) => [ist(2025, 6, 12, hours, minutes).getTime() / 1000, 100, 101, 99, 100, 10]);
+
+  const candles = hmaService.convertAndFilterTradingHoursCandles(raw, '5');
+
+  assert.deepStrictEqual(candles.map(candle => candle.totalMinutes), [555, 720, 925, 930]);
+  assert.strictEqual(candles[0].timestamp, Date.UTC(2025, 5, 12, 3, 45) / 1000);
+});
+
+test('trade log day follows the IST date, also after 18:30 UTC', () => {
+  // 23:59 IST Thursday is still Thursday's session
+  marketClock.setClock(() => ist(2025, 6, 12, 23, 59));
+  assert.strictEqual(tradeLogService.getTodayKey(), '2025-06-12');
+
+  // 00:10 IST Friday is 18:40 UTC Thursday
+  marketClock.setClock(() => ist(2025, 6, 13, 0, 10));
+  assert.strictEqual(tradeLogService.getTodayKey(), '2025-06-13');
+
+  // 19:00 IST Saturday is filed under Friday's session
+  marketClock.setClock(() => ist(2025, 6, 14, 19, 0));
+  assert.strictEqual(tradeLogService.getTodayKey(), '2025-06-13');
+});
+
+test('trading state is kept within the IST day and cleared after IST midnight', async () => {
+  const saveState = savedAt => fs.writeFile(TEST_STATE_FILE, JSON.stringify({ tradingMode: 'PAPER', savedAt: savedAt.toISOString() }));
+
+  // Saved 23:30 IST, loaded 23:50 IST the same day
+  await saveState(ist(2025, 6, 12, 23, 30));
+  marketClock.setClock(() => ist(2025, 6, 12, 23, 50));
+  const restored = await tradingStateService.loadTradingState(TEST_USER);
+  assert.strictEqual(restored && restored.tradingMode, 'PAPER');
+
+  // Saved 23:30 IST, loaded 00:15 IST the next day (same UTC date)
+  marketClock.setClock(() => ist(2025, 6, 13, 0, 15));
+  assert.strictEqual(await tradingStateService.loadTradingState(TEST_USER), null);
+});
+
+test('next expiry rolls over at the 15:30 IST close of expiry day', () => {
+  // NIFTY weeklies expire on Tuesday 2025-09-02
+  assert.strictEqual(symbolService.getExpiryForIndex('NIFTY', ist(2025, 9, 2, 0, 30)), '2025-09-02');
+  assert.strictEqual(symbolService.getExpiryForIndex('NIFTY', ist(2025, 9, 2, 15, 29)), '2025-09-02');
+  assert.strictEqual(symbolService.getExpiryForIndex('NIFTY', ist(2025, 9, 2, 15, 30)), '2025-09-09');
+  assert.strictEqual(symbolService.getExpiryForIndex('NIFTY', ist(2025, 9, 2, 23, 59)), '2025-09-09');
+});
+
+test('option symbols are the same in every timezone', () => {
+  const cases = [
+    ['NIFTY', 24500, 'CE', ist(2025, 9, 2, 15, 29), 'NSE:NIFTY25902CE24500', 75],
+    ['NIFTY', 24500, 'PE', ist(2025, 9, 2, 15, 30), 'NSE:NIFTY25909PE24500', 75],
+    // Monthly expiry day, after the close
+    ['BANKNIFTY', 55000, 'CE', ist(2025, 9, 30, 23, 45), 'NSE:BANKNIFTY25OCTCE55000', 30],
+    // Just after IST midnight; Thursday 2025-10-02 is a holiday, so the weekly moves to Wednesday
+    ['SENSEX', 81000, 'PE', ist(2025, 10, 1, 0, 15), 'BSE:SENSEX251001PE81000', 20],
+    ['FINNIFTY', 26000, 'CE', ist(2026, 1, 27, 10, 0), 'NSE:FINNIFTY26JANCE26000', 60]
+  ];
+
+  cases.forEach(([index, strike, optionType, date, symbol, lotSize]) => {
+    const option = symbolService.createOptionSymbol(index, strike, optionType, null, date);
+    assert.strictEqual(option.symbol, symbol);
+    assert.strictEqual(option.lotSize, lotSize);
+  });
+});
+
+test('intraday positions are squared off at 15:15 IST, and at once when carried past midnight', () => {
+  const { EOD_SQUARE_OFF } = exitManagerService.EXIT_REASONS;
+  const position = { productType: 'INTRADAY', entryTime: ist(2025, 6, 12, 10, 0).toISOString() };
+
+  assert.strictEqual(exitManagerService.checkTimeExit(position, ist(2025, 6, 12, 15, 14)), null);
+  assert.strictEqual(exitManagerService.checkTimeExit(position, ist(2025, 6, 12, 15, 15)), EOD_SQUARE_OFF);
+
+  // Restored after IST midnight (still 12 June in UTC): due before the next session's cutoff
+  assert.strictEqual(exitManagerService.checkTimeExit(position, ist(2025, 6, 13, 0, 15)), EOD_SQUARE_OFF);
+  assert.strictEqual(exitManagerService.checkTimeExit(position, ist(2025, 6, 13, 9, 15)), EOD_SQUARE_OFF);
+
+  // MARGIN positions carry overnight unless exitAtMarketClose is set
+  const carried = { ...position, productType: 'MARGIN' };
+  assert.strictEqual(exitManagerService.checkTimeExit(carried, ist(2025, 6, 13, 9, 15)), null);
+  assert.strictEqual(exitManagerService.checkTimeExit({ ...carried, exitAtMarketClose: true }, ist(2025, 6, 13, 9, 15)), EOD_SQUARE_OFF);
+});
@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const optionSentimentService = require('../optionSentimentService');
+const { snapshots } = require('./fixtures/sentiment-snapshots.json');
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} !== ${expected}`);
+}
+
+test('max pain is the strike where writers pay out the least', () => {
+  // Writer payouts at expiry 24300..24700: 2050000, 950000, 650000, 1250000, 2600000
+  assert.strictEqual(optionSentimentService.calculateMaxPain(snapshots[0].strikes), 24500);
+
+  // Heavy put OI at the upper strikes pulls max pain up
+  const strikes = [
+    { strike: 100, ce: { oi: 10 }, pe: { oi: 0 } },
+    { strike: 110, ce: { oi: 10 }, pe: { oi: 50 } },
+    { strike: 120, ce: { oi: 0 }, pe: { oi: 100 } }
+  ];
+  assert.strictEqual(optionSentimentService.calculateMaxPain(strikes), 120);
+  assert.strictEqual(optionSentimentService.calculateMaxPain([]), null);
+});
+
+test('PCR and totals of a recorded snapshot', () => {
+  const sentiment = optionSentimentService.calculateSentiment(snapshots[0]);
+
+  assert.deepStrictEqual(sentiment.totals, { ceOI: 22000, peOI: 19000, ceVolume: 1500, peVolume: 1200 });
+  assertClose(sentiment.pcrOI, 19000 / 22000, 'PCR (OI)');
+  assertClose(sentiment.pcrVolume, 0.8, 'PCR (volume)');
+  assert.strictEqual(sentiment.baselineTimestamp, null);
+  assert.ok(sentiment.strikes.every(row => row.ce.buildUp === null && row.pe.buildUp === null));
+});
+
+test('OI build-up of the session is read against its first snapshot', () => {
+  // Snapshots may arrive out of order; the earliest one is the baseline
+  const analysis = optionSentimentService.analyzeSnapshots([snapshots[2], snapshots[0], snapshots[1]]);
+  const byStrike = new Map(analysis.latest.strikes.map(row => [row.strike, row]));
+
+  assert.strictEqual(analysis.snapshotCount, 3);
+  assert.strictEqual(analysis.latest.timestamp, snapshots[2].timestamp);
+  assert.strictEqual(analysis.latest.baselineTimestamp, snapshots[0].timestamp);
+
+  // Index up 80 points: calls gain, puts lose
+  assert.deepStrictEqual(byStrike.get(24300).ce, { oiChange: -100, priceChange: 60, buildUp: 'SHORT_COVERING' });
+  assert.deepStrictEqual(byStrike.get(24500).ce, { oiChange: 1500, priceChange: 50, buildUp: 'LONG_BUILDUP' });
+  assert.deepStrictEqual(byStrike.get(24300).pe, { oiChange: 500, priceChange: -15, buildUp: 'SHORT_BUILDUP' });
+  assert.deepStrictEqual(byStrike.get(24500).pe, { oiChange: -1000, priceChange: -35, buildUp: 'LONG_UNWINDING' });
+  // Unchanged OI has no build-up
+  assert.deepStrictEqual(byStrike.get(24700).ce, { oiChange: 0, priceChange: 15, buildUp: null });
+
+  assert.deepStrictEqual(analysis.history.map(point => point.timestamp), snapshots.map(snapshot => snapshot.timestamp));
+  assert.deepStrictEqual(analysis.history.map(point => point.maxPain), [24500, 24500, 24500]);
+  assert.deepStrictEqual(analysis.history.map(point => point.ceOI), [22000, 23450, 24600]);
+  assertClose(analysis.history[2].pcrOI, 19000 / 24600, 'latest PCR (OI)');
+});
+
+test('no snapshots, no analysis', () => {
+  assert.strictEqual(optionSentimentService.analyzeSnapshots([]), null);
+});
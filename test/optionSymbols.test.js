@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const instrumentRegistry = require('../instrumentRegistry');
+const marketClock = require('../marketClock');
+const symbolService = require('../symbolService');
+
+// Every calendar day of 2025 (10:00 IST), which covers the January and September expiry rule changes
+function getDaysOfYear(year) {
+  const days = [];
+  for (let date = marketClock.fromISTDateTime(year, 0, 1, 10); marketClock.getISTDateKey(date).startsWith(String(year));
+    date = new Date(date.getTime() + 24 * 60 * 60 * 1000)) {
+    days.push(date);
+  }
+  return days;
+}
+
+test('parseOptionSymbol reads back every generated symbol over a year of expiries', () => {
+  const days = getDaysOfYear(2025);
+  assert.strictEqual(days.length, 365);
+
+  instrumentRegistry.getInstruments().forEach(instrument => {
+    const strike = 100 * instrument.strikeInterval;
+    const expiries = new Set();
+
+    days.forEach(date => {
+      ['CE', 'PE'].forEach(optionType => {
+        const option = symbolService.createOptionSymbol(instrument.key, strike, optionType, null, date);
+        const parsed = symbolService.parseOptionSymbol(option.symbol);
+        const context = `${option.symbol} (${marketClock.getISTDateKey(date)})`;
+
+        assert.ok(parsed, `${context} did not parse`);
+        assert.strictEqual(parsed.exchange, instrument.exchange, context);
+        assert.strictEqual(parsed.underlying, instrument.optionRoot, context);
+        assert.strictEqual(parsed.expiryDate, option.expiryDisplay, context);
+        assert.strictEqual(parsed.strike, strike, context);
+        assert.strictEqual(parsed.optionType, optionType, context);
+        expiries.add(option.expiryDisplay);
+      });
+    });
+
+    // Monthly-only underlyings still roll through a year of contracts
+    assert.ok(expiries.size >= 12, `${instrument.key} produced ${expiries.size} expiries`);
+  });
+});
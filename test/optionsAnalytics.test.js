@@ -0,0 +1,94 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const marketClock = require('../marketClock');
+const optionsAnalytics = require('../optionsAnalytics');
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) < tolerance, `${message}: ${actual} !== ${expected}`);
+}
+
+test('Black-Scholes prices match textbook values', () => {
+  // Hull, Options, Futures and Other Derivatives: S=42, K=40, r=10%, sigma=20%, six months
+  assertClose(optionsAnalytics.blackScholesPrice('CE', 42, 40, 0.5, 0.1, 0.2), 4.759422, 1e-5, 'CE');
+  assertClose(optionsAnalytics.blackScholesPrice('PE', 42, 40, 0.5, 0.1, 0.2), 0.808599, 1e-5, 'PE');
+
+  // At the money, one year
+  assertClose(optionsAnalytics.blackScholesPrice('CE', 100, 100, 1, 0.05, 0.2), 10.450584, 1e-5, 'ATM CE');
+  assertClose(optionsAnalytics.blackScholesPrice('PE', 100, 100, 1, 0.05, 0.2), 5.573526, 1e-5, 'ATM PE');
+});
+
+test('Greeks match closed-form values (theta per day, vega and rho per 1%)', () => {
+  const call = optionsAnalytics.calculateGreeks('CE', 100, 100, 1, 0.05, 0.2);
+  const put = optionsAnalytics.calculateGreeks('PE', 100, 100, 1, 0.05, 0.2);
+
+  assertClose(call.delta, 0.636831, 1e-6, 'CE delta');
+  assertClose(put.delta, -0.363169, 1e-6, 'PE delta');
+  assertClose(call.gamma, 0.018762, 1e-6, 'CE gamma');
+  assertClose(put.gamma, call.gamma, 1e-12, 'PE gamma');
+  assertClose(call.vega, 0.375240, 1e-6, 'CE vega');
+  assertClose(put.vega, call.vega, 1e-12, 'PE vega');
+  assertClose(call.theta, -6.414028 / 365, 1e-6, 'CE theta');
+  assertClose(put.theta, -1.657880 / 365, 1e-6, 'PE theta');
+  assertClose(call.rho, 0.532325, 1e-6, 'CE rho');
+  assertClose(put.rho, -0.418905, 1e-6, 'PE rho');
+});
+
+test('implied volatility recovers the volatility a price was made with', () => {
+  const spot = 24500;
+  const timeToExpiry = 6 / 365;
+
+  for (const optionType of ['CE', 'PE']) {
+    for (const strike of [23500, 24000, 24500, 25000, 25500]) {
+      for (const volatility of [0.08, 0.15, 0.3, 0.6]) {
+        const price = optionsAnalytics.blackScholesPrice(optionType, spot, strike, timeToExpiry, 0.065, volatility);
+        const iv = optionsAnalytics.impliedVolatility(optionType, price, spot, strike, timeToExpiry, 0.065);
+        const repriced = optionsAnalytics.blackScholesPrice(optionType, spot, strike, timeToExpiry, 0.065, iv);
+
+        assertClose(repriced, price, 1e-3, `${strike} ${optionType} at ${volatility}`);
+        // Deep in/out of the money prices barely move with volatility, so only compare IV where vega is meaningful
+        if (Math.abs(strike - spot) <= 500 || volatility >= 0.3) {
+          assertClose(iv, volatility, 1e-3, `${strike} ${optionType} IV at ${volatility}`);
+        }
+      }
+    }
+  }
+});
+
+test('implied volatility is null for prices no volatility can produce', () => {
+  // Below intrinsic value, and above the spot for a CE
+  assert.strictEqual(optionsAnalytics.impliedVolatility('CE', 1, 110, 100, 0.1, 0.05), null);
+  assert.strictEqual(optionsAnalytics.impliedVolatility('CE', 120, 110, 100, 0.1, 0.05), null);
+  assert.strictEqual(optionsAnalytics.impliedVolatility('PE', 0, 110, 100, 0.1, 0.05), null);
+});
+
+test('analyzeOption counts time to the 15:30 IST close of expiry day', () => {
+  const now = marketClock.fromISTDateTime(2025, 7, 29, 15, 30);
+  const price = optionsAnalytics.blackScholesPrice('CE', 24500, 24500, 4 / 365, 0.065, 0.12);
+  const analysis = optionsAnalytics.analyzeOption({
+    optionType: 'CE', strike: 24500, expiry: '2025-09-02', optionPrice: price, spotPrice: 24500, rate: 0.065, now
+  });
+
+  assertClose(analysis.timeToExpiryDays, 4, 1e-9, 'days to expiry');
+  assertClose(analysis.iv, 12, 0.01, 'IV percent');
+  assertClose(analysis.delta, optionsAnalytics.calculateGreeks('CE', 24500, 24500, 4 / 365, 0.065, 0.12).delta, 1e-4, 'delta');
+
+  const expired = optionsAnalytics.analyzeOption({
+    optionType: 'CE', strike: 24500, expiry: '2025-08-29', optionPrice: price, spotPrice: 24500, rate: 0.065, now
+  });
+  assert.strictEqual(expired.iv, null);
+  assert.strictEqual(expired.delta, null);
+});
+
+test('findStrikeByDelta picks the closest CE or PE delta', () => {
+  const strikes = [
+    { strike: 24000, ce: { delta: 0.8 }, pe: { delta: -0.2 } },
+    { strike: 24500, ce: { delta: 0.5 }, pe: { delta: -0.5 } },
+    { strike: 25000, ce: { delta: 0.28 }, pe: { delta: null } },
+    { strike: 25500, ce: { delta: 0.1 }, pe: { delta: -0.9 } }
+  ];
+
+  assert.strictEqual(optionsAnalytics.findStrikeByDelta(strikes, 'CE', 0.3).strike, 25000);
+  // PE targets may be given as positive deltas; rows without a delta are skipped
+  assert.strictEqual(optionsAnalytics.findStrikeByDelta(strikes, 'PE', 0.3).strike, 24000);
+  assert.strictEqual(optionsAnalytics.findStrikeByDelta([], 'CE', 0.3), null);
+});
@@ -1,10 +1,17 @@
 const fs = require('fs').promises;
 const path = require('path');
+const eventBus = require('./eventBus');
+const marketClock = require('./marketClock');
+const tradingCalendar = require('./tradingCalendar');
 
 // Path to store trade logs
 const LOGS_DIR = path.join(__dirname, 'data');
 const LOGS_FILE = path.join(LOGS_DIR, 'trade_logs.json');
 
+// Market replay trades are kept apart from real trade logs
+const REPLAY_LOGS_FILE = path.join(LOGS_DIR, 'replay_trade_logs.json');
+const MAX_STORED_REPLAYS = 20;
+
 // Maximum storage days
 const MAX_STORAGE_DAYS = 60; // 2 months
 
@@ -20,10 +27,11 @@ async function ensureDataDir() {
 }
 
 /**
- * Get today's date as YYYY-MM-DD string
+ * Get the current trading session's IST date as YYYY-MM-DD string
+ * (weekend and holiday activity is bucketed with the previous trading day)
  */
 function getTodayKey() {
-  return new Date().toISOString().split('T')[0];
+  return tradingCalendar.getSessionDateKey(marketClock.now());
 }
 
 /**
@@ -68,9 +76,8 @@ async function saveToStorage(logs) {
     await ensureDataDir();
     
     // Clean up old logs (older than MAX_STORAGE_DAYS)
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - MAX_STORAGE_DAYS);
-    const cutoffKey = cutoffDate.toISOString().split('T')[0];
+    const cutoffDate = new Date(marketClock.now().getTime() - MAX_STORAGE_DAYS * 24 * 60 * 60 * 1000);
+    const cutoffKey = marketClock.getISTDateKey(cutoffDate);
     
     const cleanedLogs = {};
     Object.keys(logs).forEach(date => {
@@ -85,6 +92,57 @@ async function saveToStorage(logs) {
   }
 }
 
+/**
+ * Get stored replay trade logs keyed by replay id
+ */
+async function getStoredReplayLogs() {
+  try {
+    const data = await fs.readFile(REPLAY_LOGS_FILE, 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading replay trade logs from file:', error);
+    }
+    return {};
+  }
+}
+
+/**
+ * Add a replay trade log entry, keeping only the most recent replays
+ */
+async function addReplayTradeLog(tradeLog) {
+  try {
+    await ensureDataDir();
+    const replayLogs = await getStoredReplayLogs();
+
+    if (!replayLogs[tradeLog.replayId]) {
+      replayLogs[tradeLog.replayId] = [];
+    }
+    replayLogs[tradeLog.replayId].unshift(tradeLog);
+
+    const replayIds = Object.keys(replayLogs);
+    replayIds.slice(0, Math.max(0, replayIds.length - MAX_STORED_REPLAYS)).forEach(id => {
+      delete replayLogs[id];
+    });
+
+    await fs.writeFile(REPLAY_LOGS_FILE, JSON.stringify(replayLogs, null, 2), 'utf8');
+  } catch (error) {
+    console.error('Error saving replay trade logs to file:', error);
+  }
+
+  console.log('📝 Replay trade log added:', tradeLog);
+  eventBus.publish('replay', 'trade.logged', tradeLog);
+  return tradeLog;
+}
+
+/**
+ * Get trade logs recorded during a market replay (newest first)
+ */
+async function getReplayTradeLogs(replayId) {
+  const replayLogs = await getStoredReplayLogs();
+  return replayLogs[replayId] || [];
+}
+
 /**
  * Add a new trade log entry
  */
@@ -92,9 +150,13 @@ async function addTradeLog(trade) {
   const tradeLog = {
     ...trade,
     id: `trade_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-    timestamp: new Date()
+    timestamp: marketClock.now()
   };
 
+  if (tradeLog.replayId) {
+    return await addReplayTradeLog(tradeLog);
+  }
+
   const allLogs = await getStoredLogs();
   const todayKey = getTodayKey();
   
@@ -106,6 +168,7 @@ async function addTradeLog(trade) {
   await saveToStorage(allLogs);
   
   console.log('📝 Trade log added and persisted:', tradeLog);
+  eventBus.publish('trades', 'trade.logged', tradeLog);
   return tradeLog;
 }
 
@@ -194,6 +257,7 @@ async function clearAllLogs() {
     await ensureDataDir();
     await fs.writeFile(LOGS_FILE, JSON.stringify({}), 'utf8');
     console.log('🗑️ All trade logs cleared');
+    eventBus.publish('trades', 'trades.cleared', {});
     return true;
   } catch (error) {
     console.error('Error clearing trade logs:', error);
@@ -225,7 +289,9 @@ async function importLogs(jsonData) {
 }
 
 module.exports = {
+  getTodayKey,
   addTradeLog,
+  getReplayTradeLogs,
   getTodayTradeLogs,
   getHistoricalTradeLogs,
   getTradeLogsByDate,
@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const marketClock = require('./marketClock');
+
+// Exchange calendars live in data/calendars/<EXCHANGE>.json:
+// { exchange, version, coveredYears, holidays: [{ date, name }], specialSessions: [{ date, name, open, close }] }
+// Special sessions (Muhurat trading, Saturday budget sessions) are trading days even on holidays or weekends.
+const CALENDARS_DIR = path.join(__dirname, 'data', 'calendars');
+
+const DEFAULT_EXCHANGE = 'NSE';
+const REGULAR_SESSION = { open: '09:15', close: '15:30' };
+
+// Calendars by exchange, with holidays and special sessions keyed by date
+let calendars = new Map();
+
+// Years already warned about, so a missing year is reported once per exchange
+const warnedYears = new Set();
+
+/**
+ * Load every calendar file (read synchronously so date checks can stay synchronous).
+ * An invalid file rejects the whole reload and the previously loaded calendars are kept.
+ */
+function loadCalendars() {
+  const files = fs.readdirSync(CALENDARS_DIR).filter(file => file.endsWith('.json'));
+
+  const loaded = new Map();
+  files.forEach(file => {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(path.join(CALENDARS_DIR, file), 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid trading calendar ${file}: ${error.message}`);
+    }
+    if (!data.exchange) {
+      throw new Error(`Trading calendar ${file} is missing exchange`);
+    }
+
+    loaded.set(data.exchange, {
+      exchange: data.exchange,
+      version: data.version,
+      coveredYears: data.coveredYears || [],
+      holidays: new Map((data.holidays || []).map(holiday => [holiday.date, holiday])),
+      specialSessions: new Map((data.specialSessions || []).map(session => [session.date, session]))
+    });
+  });
+  if (!loaded.has(DEFAULT_EXCHANGE)) {
+    throw new Error(`No trading calendar for the default exchange ${DEFAULT_EXCHANGE}`);
+  }
+
+  calendars = loaded;
+  warnedYears.clear();
+
+  return getCalendarInfo();
+}
+
+/**
+ * Calendar for an exchange (throws for unknown exchanges)
+ */
+function getCalendar(exchange = DEFAULT_EXCHANGE) {
+  const calendar = calendars.get(exchange);
+  if (!calendar) {
+    throw new Error(`No trading calendar for exchange: ${exchange}`);
+  }
+  return calendar;
+}
+
+/**
+ * Exchange of a Fyers symbol (e.g. BSE:SENSEX-INDEX -> BSE), falling back to the default calendar
+ */
+function getExchangeForSymbol(symbol) {
+  const exchange = String(symbol || '').split(':')[0];
+  return calendars.has(exchange) ? exchange : DEFAULT_EXCHANGE;
+}
+
+/**
+ * Warn once when a date falls in a year the calendar has no holiday list for
+ */
+function checkCoverage(calendar, dateKey) {
+  const year = parseInt(dateKey.slice(0, 4), 10);
+  const warningKey = `${calendar.exchange}:${year}`;
+
+  if (!calendar.coveredYears.includes(year) && !warnedYears.has(warningKey)) {
+    warnedYears.add(warningKey);
+    console.warn(`⚠️ ${calendar.exchange} trading calendar has no holidays for ${year}; only weekends are skipped`);
+  }
+}
+
+/**
+ * Shift a YYYY-MM-DD key by a number of days
+ */
+function shiftDateKey(dateKey, days) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Whether a date has no regular session (weekend or exchange holiday)
+ */
+function isHoliday(dateKey, exchange = DEFAULT_EXCHANGE) {
+  const calendar = getCalendar(exchange);
+  checkCoverage(calendar, dateKey);
+
+  const dayOfWeek = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+  return dayOfWeek === 0 || dayOfWeek === 6 || calendar.holidays.has(dateKey);
+}
+
+/**
+ * Whether the exchange trades on a date (regular or special session)
+ */
+function isTradingDay(dateKey, exchange = DEFAULT_EXCHANGE) {
+  return getCalendar(exchange).specialSessions.has(dateKey) || !isHoliday(dateKey, exchange);
+}
+
+/**
+ * Session on a date: { open, close, special, name } (null when the exchange is closed)
+ */
+function getSession(dateKey, exchange = DEFAULT_EXCHANGE) {
+  const special = getCalendar(exchange).specialSessions.get(dateKey);
+  if (special) {
+    return { open: special.open, close: special.close, special: true, name: special.name };
+  }
+  return isHoliday(dateKey, exchange) ? null : { ...REGULAR_SESSION, special: false, name: null };
+}
+
+/**
+ * Next trading day after a date
+ */
+function getNextTradingDay(dateKey, exchange = DEFAULT_EXCHANGE) {
+  let next = shiftDateKey(dateKey, 1);
+  while (!isTradingDay(next, exchange)) {
+    next = shiftDateKey(next, 1);
+  }
+  return next;
+}
+
+/**
+ * Previous trading day before a date
+ */
+function getPreviousTradingDay(dateKey, exchange = DEFAULT_EXCHANGE) {
+  let previous = shiftDateKey(dateKey, -1);
+  while (!isTradingDay(previous, exchange)) {
+    previous = shiftDateKey(previous, -1);
+  }
+  return previous;
+}
+
+/**
+ * Trading days in an inclusive range
+ */
+function getTradingDays(fromKey, toKey, exchange = DEFAULT_EXCHANGE) {
+  const days = [];
+  for (let dateKey = fromKey; dateKey <= toKey; dateKey = shiftDateKey(dateKey, 1)) {
+    if (isTradingDay(dateKey, exchange)) {
+      days.push(dateKey);
+    }
+  }
+  return days;
+}
+
+/**
+ * Holidays and special sessions in an inclusive range
+ */
+function getCalendarEvents(fromKey, toKey, exchange = DEFAULT_EXCHANGE) {
+  const calendar = getCalendar(exchange);
+  const inRange = entry => entry.date >= fromKey && entry.date <= toKey;
+
+  return {
+    holidays: Array.from(calendar.holidays.values()).filter(inRange),
+    specialSessions: Array.from(calendar.specialSessions.values()).filter(inRange)
+  };
+}
+
+/**
+ * Trading session an instant belongs to: its IST date on trading days, otherwise the
+ * previous trading day (so weekend or holiday activity is grouped with the last session)
+ */
+function getSessionDateKey(date = marketClock.now(), exchange = DEFAULT_EXCHANGE) {
+  const dateKey = marketClock.getISTDateKey(date);
+  return isTradingDay(dateKey, exchange) ? dateKey : getPreviousTradingDay(dateKey, exchange);
+}
+
+/**
+ * Loaded calendars with their versions and covered years
+ */
+function getCalendarInfo() {
+  return Array.from(calendars.values()).map(calendar => ({
+    exchange: calendar.exchange,
+    version: calendar.version,
+    coveredYears: calendar.coveredYears,
+    holidayCount: calendar.holidays.size,
+    specialSessionCount: calendar.specialSessions.size
+  }));
+}
+
+try {
+  loadCalendars();
+} catch (error) {
+  console.error('Error loading trading calendars:', error.message);
+}
+
+module.exports = {
+  DEFAULT_EXCHANGE,
+  loadCalendars,
+  getExchangeForSymbol,
+  isHoliday,
+  isTradingDay,
+  getSession,
+  getNextTradingDay,
+  getPreviousTradingDay,
+  getTradingDays,
+  getCalendarEvents,
+  getSessionDateKey,
+  getCalendarInfo
+};
@@ -1,5 +1,7 @@
 const fs = require('fs').promises;
 const path = require('path');
+const eventBus = require('./eventBus');
+const marketClock = require('./marketClock');
 
 // Path to store trading state
 const DATA_DIR = path.join(__dirname, 'data');
@@ -38,6 +40,7 @@ async function saveTradingState(state, userId = 'default') {
     
     await fs.writeFile(fileName, JSON.stringify(stateToSave, null, 2), 'utf8');
     console.log(`💾 Trading state saved for user ${userId}`);
+    eventBus.publish('trading-state', 'state.saved', { userId, state: stateToSave });
     return true;
   } catch (error) {
     console.error('❌ Error saving trading state:', error);
@@ -59,10 +62,9 @@ async function loadTradingState(userId = 'default') {
       const data = await fs.readFile(fileName, 'utf8');
       const parsed = JSON.parse(data);
       
-      // Check if the saved state is from today (don't restore old monitoring)
+      // Check if the saved state is from today in IST (don't restore old monitoring)
       const savedAt = new Date(parsed.savedAt);
-      const now = new Date();
-      const isToday = savedAt.toDateString() === now.toDateString();
+      const isToday = marketClock.isSameISTDay(savedAt, marketClock.now());
       
       if (!isToday) {
         console.log('🗑️ Clearing old trading state from different day');
@@ -130,6 +132,7 @@ async function clearTradingState(userId = 'default') {
     }
     
     console.log(`🗑️ Trading state cleared for user ${userId}`);
+    eventBus.publish('trading-state', 'state.cleared', { userId });
     return true;
   } catch (error) {
     console.error('❌ Error in clearTradingState:', error);